@@ -4,51 +4,159 @@ class VisualScreensaver {
         this.ctx = this.canvas.getContext('2d');
         this.menu = document.getElementById('menu');
         this.visualContainer = document.getElementById('visual-container');
+        this.seedInput = document.getElementById('seed-input');
+        this.visualInfo = document.getElementById('visual-info');
+        this.idleVisualSelect = document.getElementById('idle-visual-select');
         this.currentVisual = null;
         this.animationId = null;
+        this.lastFrameTime = null;
+        this.needsRender = false;
+        this.speed = 1;
+        this.paused = false;
         this.wakeLock = null;
-        this.previewCanvases = {};
+        this.previewScheduler = new PreviewScheduler({
+            getSpeed: () => this.speed,
+            fpsCap: loadSetting('previewFps', 60)
+        });
+        this.palette = null;
+        this.currentType = null;
+        this.renderer = null;
+        this.canvasTransferred = false;
+        this.renderScale = loadSetting('renderScale', 1);
+        this.span = null;
+        this.at = null;
+        this.audioSource = null;
+        this.interactive = false;
+        this.pointers = new Map();
+        this.menuScroll = null;
+        this.hudEnabled = loadSetting('hud', true);
+        this.frameStats = new FrameStats();
+        this.controlsTimer = null;
+        this.hudUpdated = 0;
+        this.adaptiveQuality = loadSetting('adaptiveQuality', true);
+        this.governor = new QualityGovernor();
+        this.qualityLevel = 0;
+        this.resolution = 1;
         
         this.setupCanvas();
         this.setupEventListeners();
-        this.initPreviews();
+        this.setupExportDialog();
+        this.setupPalettes();
+        this.setupSettingsPanel();
+        this.setupPointerInput();
+        this.initMenu();
+        this.setupRouting();
+        this.setupWorkerToggle();
+        this.setupAudio();
+        this.setupScreensaver();
+        this.setupAdaptiveQuality();
     }
     
     setupCanvas() {
+        // Visuals work in CSS pixels; the backing store is that times the pixel ratio (see drawVisual)
         const resizeCanvas = () => {
-            this.canvas.width = window.innerWidth;
-            this.canvas.height = window.innerHeight;
+            this.resizeBackingStore();
             if (this.currentVisual) {
-                this.currentVisual.resize(this.canvas.width, this.canvas.height);
+                if (!this.span) this.currentVisual.resize(window.innerWidth, window.innerHeight);
+                this.needsRender = true;
             }
         };
+        this.resizeCanvas = resizeCanvas;
         
         resizeCanvas();
         window.addEventListener('resize', resizeCanvas);
+        
+        // Moving the window to a display with a different devicePixelRatio doesn't always fire 'resize'
+        const watchPixelRatio = () => {
+            if (!window.matchMedia) return;
+            matchMedia(`(resolution: ${window.devicePixelRatio}dppx)`).addEventListener('change', () => {
+                resizeCanvas();
+                watchPixelRatio();
+            }, { once: true });
+        };
+        watchPixelRatio();
+    }
+    
+    // The scene keeps its size; only the pixels it's drawn into change
+    resizeBackingStore() {
+        const { width, height } = this.canvasSize();
+        if (!this.canvasTransferred) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        } else if (this.currentVisual) {
+            this.currentVisual.resizeCanvas(width, height);
+        }
+        if (this.currentVisual instanceof PlaylistPlayer) this.currentVisual.resizeBuffers();
+    }
+    
+    // Device pixels per CSS pixel for the fullscreen canvas, capped so supersampling can't exceed MAX_CANVAS_PIXELS.
+    // Adaptive quality can lower it further (resolution).
+    canvasSize() {
+        const cssWidth = window.innerWidth;
+        const cssHeight = window.innerHeight;
+        let ratio = (window.devicePixelRatio || 1) * this.renderScale;
+        ratio = Math.min(ratio, Math.sqrt(MAX_CANVAS_PIXELS / (cssWidth * cssHeight))) * this.resolution;
+        return {
+            width: Math.max(1, Math.round(cssWidth * ratio)),
+            height: Math.max(1, Math.round(cssHeight * ratio))
+        };
+    }
+    
+    setRenderScale(scale) {
+        this.renderScale = Math.min(2, Math.max(0.5, scale));
+        saveSetting('renderScale', this.renderScale);
+        this.resizeCanvas();
     }
     
     setupEventListeners() {
-        // Fullscreen buttons
-        document.querySelectorAll('.fullscreen-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const menuItem = e.target.closest('.menu-item');
-                const visualType = menuItem.dataset.visual;
-                this.startVisual(visualType);
-            });
+        // Global speed multiplier (fullscreen and previews)
+        document.getElementById('speed-select').addEventListener('change', (e) => {
+            this.setSpeed(parseFloat(e.target.value));
         });
+        this.seedInput.addEventListener('change', () => this.updateUrl());
+        
+        // Preview frame-rate cap (persisted; lower it on battery-powered devices)
+        const previewFps = document.getElementById('preview-fps-select');
+        previewFps.value = String(this.previewScheduler.fpsCap);
+        previewFps.addEventListener('change', () => {
+            this.previewScheduler.setFpsCap(parseInt(previewFps.value, 10));
+            saveSetting('previewFps', this.previewScheduler.fpsCap);
+        });
+        
+        // Fullscreen render scale: below 100% for slow machines, above to supersample
+        const renderScale = document.getElementById('render-scale-select');
+        renderScale.value = String(this.renderScale);
+        renderScale.addEventListener('change', () => this.setRenderScale(parseFloat(renderScale.value)));
+        
+        // Playlist card
+        this.setupPlaylistCard();
         
         // Exit button
         document.getElementById('exit-fullscreen').addEventListener('click', () => {
             this.exitFullscreen();
         });
         
-        // ESC key to exit
+        // Full-screen keyboard shortcuts (see SHORTCUTS); ESC exits
         document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape' && !this.visualContainer.classList.contains('hidden')) {
+            if (this.visualContainer.classList.contains('hidden')) return;
+            if (e.key === 'Escape') {
                 this.exitFullscreen();
+                return;
             }
+            const action = SHORTCUTS[e.key.length === 1 ? e.key.toLowerCase() : e.key];
+            if (!action || e.ctrlKey || e.metaKey || e.altKey || e.target.closest('input, select, textarea')) return;
+            e.preventDefault();
+            this.shortcut(action);
         });
         
+        // Controls and HUD come up on input over the visual and fade out a few seconds after it stops
+        ['pointermove', 'pointerdown', 'keydown'].forEach(type => {
+            document.addEventListener(type, () => {
+                if (!this.visualContainer.classList.contains('hidden')) this.showControls();
+            });
+        });
+        this.visualContainer.classList.toggle('hud-off', !this.hudEnabled);
+        
         // Fullscreen API events
         document.addEventListener('fullscreenchange', () => {
             if (!document.fullscreenElement) {
@@ -57,7 +165,56 @@ class VisualScreensaver {
         });
     }
     
-    async startVisual(type) {
+    // options.seed pins the scene; otherwise the menu seed field is used, else a fresh random seed.
+    // options.params overrides parameter defaults (as from a deep link).
+    // options.span = { scene, viewport } shows one slice of a larger scene, e.g. one monitor of a wall.
+    // options.at ('HH:MM') starts the clock of live time-of-day modes at that time instead of now.
+    async startVisual(type, options = {}) {
+        await this.enterFullscreen();
+        
+        // Create and start new visual
+        const seed = options.seed != null ? options.seed : this.menuSeed();
+        const canvas = this.fullscreenCanvas(!!this.renderer && this.renderer.canRender(type));
+        this.span = options.span || null;
+        this.at = options.at || null;
+        const scene = this.span ? this.span.scene : { width: window.innerWidth, height: window.innerHeight };
+        const visual = this.createVisual(type, canvas, {
+            ...scene,
+            viewport: this.span && this.span.viewport,
+            clock: this.at ? clockAt(this.at) : undefined,
+            seed,
+            palette: this.palette,
+            params: options.params
+        });
+        this.currentType = type;
+        this.showVisualInfo(type, visual.seed);
+        this.run(visual);
+    }
+    
+    // Cycles `types` every `interval` seconds with a crossfade or wipe; see PlaylistPlayer
+    async startPlaylist(options) {
+        await this.enterFullscreen();
+        
+        const seed = this.seedInput.value.trim() ? normalizeSeed(this.seedInput.value) : null;
+        this.currentType = null;
+        this.span = null;
+        this.at = null;
+        this.fullscreenCanvas(false);
+        this.run(new PlaylistPlayer(this.canvas, this.ctx, {
+            ...options,
+            width: window.innerWidth,
+            height: window.innerHeight,
+            seed,
+            palette: this.palette,
+            getVisualClass: (type) => this.getVisualClass(type),
+            onChange: (type, visual) => {
+                this.showVisualInfo(type, visual.seed);
+                this.refreshSettings();
+            }
+        }));
+    }
+    
+    async enterFullscreen() {
         // Request fullscreen
         try {
             await this.visualContainer.requestFullscreen();
@@ -66,47 +223,462 @@ class VisualScreensaver {
         }
         
         // Request wake lock to prevent sleep
-        try {
-            if ('wakeLock' in navigator) {
-                this.wakeLock = await navigator.wakeLock.request('screen');
-            }
-        } catch (e) {
-            console.log('Wake lock not available:', e);
-        }
+        await this.acquireWakeLock();
         
         // Hide menu, show visual
         this.menu.style.display = 'none';
         this.visualContainer.classList.remove('hidden');
+        this.previewScheduler.pause();
         
         // Stop previous visual
         if (this.animationId) {
             cancelAnimationFrame(this.animationId);
         }
-        
-        // Create and start new visual
+    }
+    
+    // The browser drops the wake lock whenever the page is hidden (see setupScreensaver for getting it back)
+    async acquireWakeLock() {
+        if (this.wakeLock || !('wakeLock' in navigator)) return;
+        try {
+            const lock = await navigator.wakeLock.request('screen');
+            this.wakeLock = lock;
+            lock.addEventListener('release', () => {
+                if (this.wakeLock === lock) this.wakeLock = null;
+            });
+        } catch (e) {
+            console.log('Wake lock not available:', e);
+        }
+    }
+    
+    // Renders in the worker when that's enabled and the worker knows the visual
+    createVisual(type, canvas, options) {
+        if (this.renderer && this.renderer.canRender(type)) {
+            return this.renderer.createVisual(canvas, type, options);
+        }
         const VisualClass = this.getVisualClass(type);
-        this.currentVisual = new VisualClass(this.canvas, this.ctx);
-        this.animate();
+        return new VisualClass(canvas, canvas.getContext('2d'), options);
+    }
+    
+    // The canvas for the next fullscreen run. A canvas that has a 2D context can't be transferred and one that
+    // has been transferred can't get a context, so the element is swapped for a fresh one when needed.
+    fullscreenCanvas(forWorker) {
+        if (forWorker || this.canvasTransferred) {
+            const canvas = this.canvas.cloneNode(false);
+            const { width, height } = this.canvasSize();
+            canvas.width = width;
+            canvas.height = height;
+            this.canvas.replaceWith(canvas);
+            this.canvas = canvas;
+            this.ctx = forWorker ? null : canvas.getContext('2d');
+            this.canvasTransferred = forWorker;
+        }
+        return this.canvas;
+    }
+    
+    // Toolbar switch for worker rendering; remembered, and re-enabled on load once the worker reports ready
+    setupWorkerToggle() {
+        const toggle = document.getElementById('worker-toggle');
+        toggle.disabled = !WorkerRenderer.supported;
+        toggle.checked = WorkerRenderer.supported && loadSetting('workerRendering', false);
+        toggle.addEventListener('change', async () => {
+            saveSetting('workerRendering', toggle.checked);
+            toggle.checked = await this.setWorkerRendering(toggle.checked);
+        });
+        if (toggle.checked) {
+            this.setWorkerRendering(true).then(enabled => { toggle.checked = enabled; });
+        }
+    }
+    
+    // Moves previews (now) and fullscreen runs (from the next one) to or from the worker.
+    // Resolves to whether the worker is in use.
+    async setWorkerRendering(enabled) {
+        if (enabled && !this.renderer) {
+            this.renderer = await WorkerRenderer.start();
+        } else if (!enabled && this.renderer) {
+            this.renderer.terminate();
+            this.renderer = null;
+        }
+        this.previewScheduler.clear();
+        Object.values(VISUAL_DEFINITIONS).forEach(def => {
+            this.createPreview(def, document.querySelector(`.menu-item[data-visual="${def.id}"] .menu-preview`));
+        });
+        return !!this.renderer;
+    }
+    
+    run(visual) {
+        if (this.currentVisual && this.currentVisual.destroy) {
+            this.currentVisual.destroy();
+        }
+        this.currentVisual = visual;
+        this.paused = false;
+        this.lastFrameTime = null;
+        this.frameStats.reset();
+        this.governor.reset();
+        this.qualityLevel = 0;
+        this.applyResolution();
+        this.showControls();
+        this.refreshSettings();
+        this.updateUrl();
+        this.animate(performance.now());
+    }
+    
+    // The visual whose parameters the settings panel edits (a playlist's current one)
+    activeVisual() {
+        if (!this.currentVisual) return null;
+        return this.currentVisual.activeVisual || this.currentVisual;
+    }
+    
+    activeType() {
+        const visual = this.activeVisual();
+        return visual && Object.keys(VISUALS).find(key => VISUALS[key] === visualClassOf(visual));
+    }
+    
+    showVisualInfo(type, seed) {
+        this.visualInfo.querySelector('.hud-name').textContent = `${this.visualName(type)} · Seed ${seed}`;
+    }
+    
+    showControls() {
+        this.visualContainer.classList.add('controls-visible');
+        clearTimeout(this.controlsTimer);
+        this.controlsTimer = setTimeout(() => {
+            // They stay while the settings panel is open
+            if (this.settingsPanel.classList.contains('hidden')) {
+                this.visualContainer.classList.remove('controls-visible');
+            }
+        }, CONTROLS_TIMEOUT * 1000);
+    }
+    
+    toggleHud() {
+        this.hudEnabled = !this.hudEnabled;
+        saveSetting('hud', this.hudEnabled);
+        this.visualContainer.classList.toggle('hud-off', !this.hudEnabled);
+    }
+    
+    // FPS is the rate frames are shown at; frame time is what stepping and drawing one costs on this thread
+    updateHud(now) {
+        if (!this.hudEnabled || !this.visualContainer.classList.contains('controls-visible') || now - this.hudUpdated < 250) return;
+        this.hudUpdated = now;
+        const { fps, work } = this.frameStats;
+        const visual = this.activeVisual();
+        const levels = visual.quality ? visualClassOf(visual).qualityLevels.length : 1;
+        const quality = this.qualityLevel > 0 ? ` · Quality ${levels - this.qualityLevel}/${levels}` : '';
+        const state = quality + (this.paused ? ' · Paused' : '');
+        this.visualInfo.querySelector('.hud-stats').textContent = `${Math.round(fps)} fps · ${work.toFixed(1)} ms${state}`;
+    }
+    
+    shortcut(action) {
+        if (!this.currentVisual) return;
+        switch (action) {
+            case 'next': this.switchVisual(1); break;
+            case 'previous': this.switchVisual(-1); break;
+            case 'pause': this.togglePause(); break;
+            case 'step': this.stepFrame(); break;
+            case 'reseed': this.reseed(); break;
+            case 'screenshot': this.takeScreenshot(); break;
+            case 'hud': this.toggleHud(); break;
+        }
+        this.hudUpdated = 0;
+    }
+    
+    // Next or previous visual in menu order (in a playlist: in play order), seeded as from the menu
+    switchVisual(step) {
+        if (this.currentVisual instanceof PlaylistPlayer) {
+            this.currentVisual.skip(step);
+            this.needsRender = true;
+            return;
+        }
+        const types = Object.keys(VISUALS);
+        const index = types.indexOf(this.currentType);
+        const type = types[(index + step + types.length) % types.length];
+        this.startVisual(type, { span: this.span, at: this.at });
+    }
+    
+    // Same visual and settings, new random seed
+    reseed() {
+        if (this.currentVisual instanceof PlaylistPlayer) {
+            this.currentVisual.reseed();
+            this.needsRender = true;
+            return;
+        }
+        const params = { ...this.currentVisual.params };
+        this.startVisual(this.currentType, { seed: randomSeed(), params, span: this.span, at: this.at });
+    }
+    
+    // Saves the frame on screen as a PNG, at the canvas's full resolution
+    async takeScreenshot() {
+        const visual = this.activeVisual();
+        const type = this.activeType();
+        const { width, height } = this.canvasSize();
+        const blob = this.currentVisual.snapshot ? await this.currentVisual.snapshot() : await canvasToBlob(this.canvas, 'image/png');
+        this.downloadBlob(blob, `${type}-${visual.seed}-${width}x${height}.png`);
+    }
+    
+    visualName(type) {
+        return VISUAL_DEFINITIONS[type] ? VISUAL_DEFINITIONS[type].name : type;
+    }
+    
+    menuSeed() {
+        const value = this.seedInput.value.trim();
+        return value ? normalizeSeed(value) : randomSeed();
     }
     
     getVisualClass(type) {
-        const visuals = {
-            mosaic: MosaicVisual,
-            smoke: SmokeVisual,
-            lightshade: LightShadeVisual,
-            lanterns: LanternsVisual,
-            sunset: SunsetVisual,
-            bloom: BloomVisual,
-            urbanity: UrbanityVisual,
-            streets: StreetsVisual
+        return VISUALS[type] || MosaicVisual;
+    }
+    
+    animate(now) {
+        const dt = this.lastFrameTime != null ? Math.min(MAX_FRAME_DT, (now - this.lastFrameTime) / 1000) : 0;
+        this.lastFrameTime = now;
+        const start = performance.now();
+        if (!this.paused) {
+            if (this.audioSource) this.currentVisual.setAudio(this.audioSource.read(dt));
+            if (this.interactive) this.currentVisual.setPointers(this.scenePointers(now));
+            stepVisual(this.currentVisual, dt * this.speed);
+        }
+        if (!this.paused || this.needsRender) {
+            drawVisual(this.currentVisual, this.span ? this.span.viewport : undefined);
+            this.needsRender = false;
+        }
+        this.frameStats.record(now, performance.now() - start);
+        if (this.adaptiveQuality && !this.paused) this.adaptQuality(dt);
+        this.updateHud(now);
+        this.animationId = requestAnimationFrame((t) => this.animate(t));
+    }
+    
+    // Toolbar switch for the quality governor; on by default, remembered
+    setupAdaptiveQuality() {
+        const toggle = document.getElementById('adaptive-quality-toggle');
+        toggle.checked = this.adaptiveQuality;
+        toggle.addEventListener('change', () => this.setAdaptiveQuality(toggle.checked));
+    }
+    
+    setAdaptiveQuality(enabled) {
+        this.adaptiveQuality = enabled;
+        saveSetting('adaptiveQuality', enabled);
+        this.governor.reset();
+        if (!enabled && this.currentVisual) this.setQualityLevel(0);
+    }
+    
+    // A worker visual's frame rate is the worker's, not this thread's
+    adaptQuality(dt) {
+        const visual = this.activeVisual();
+        if (!visual.quality) return;
+        const stats = this.currentVisual.frameStats || this.frameStats;
+        const maxLevel = visualClassOf(visual).qualityLevels.length - 1;
+        const level = this.governor.update(Math.min(this.qualityLevel, maxLevel), maxLevel, stats.interval, dt);
+        if (level !== this.qualityLevel) this.setQualityLevel(level);
+    }
+    
+    setQualityLevel(level) {
+        this.qualityLevel = level;
+        if (this.currentVisual.setQualityLevel) this.currentVisual.setQualityLevel(level);
+        this.applyResolution();
+        this.hudUpdated = 0;
+    }
+    
+    // Matches the backing store to the active visual's quality level
+    applyResolution() {
+        const visual = this.activeVisual();
+        const resolution = visual.quality ? visual.quality.resolution : 1;
+        if (resolution === this.resolution) return;
+        this.resolution = resolution;
+        this.resizeBackingStore();
+        this.needsRender = true;
+    }
+    
+    setSpeed(speed) {
+        this.speed = Math.max(0, speed);
+        this.updateUrl();
+    }
+    
+    // Recolors the previews and the running visual in place; null means each visual's own palette
+    setPalette(palette) {
+        this.palette = palette === 'original' ? null : palette;
+        this.previewScheduler.previews.forEach(preview => preview.visual.setPalette(this.palette));
+        if (this.currentVisual) {
+            this.currentVisual.setPalette(this.palette);
+            this.needsRender = true;
+        }
+        this.updateUrl();
+    }
+    
+    // Audio-reactive mode: a local file picked in the toolbar plays on a loop and drives the visuals
+    setupAudio() {
+        const input = document.getElementById('audio-input');
+        this.audioStop = document.getElementById('audio-stop');
+        input.addEventListener('change', async () => {
+            if (!input.files.length) {
+                this.setAudioSource(null);
+                return;
+            }
+            const source = AudioInput.fromFile(input.files[0]);
+            this.setAudioSource(source);
+            try {
+                await source.play();
+            } catch (e) {
+                console.log('Audio playback failed:', e);
+                this.setAudioSource(null);
+            }
+        });
+        this.audioStop.addEventListener('click', () => {
+            input.value = '';
+            this.setAudioSource(null);
+        });
+    }
+    
+    // Any audio source works: something whose read(dt) returns audio features once per frame (see
+    // AudioAnalysis in visuals.js), e.g. new AudioInput(stream) for a microphone or new SyntheticAudio().
+    // null turns audio-reactive mode off.
+    setAudioSource(source) {
+        if (this.audioSource && this.audioSource !== source && this.audioSource.close) {
+            this.audioSource.close();
+        }
+        this.audioSource = source || null;
+        this.audioStop.disabled = !this.audioSource;
+        if (!this.audioSource && this.currentVisual) {
+            this.currentVisual.setAudio(null);
+            this.needsRender = true;
+        }
+    }
+    
+    // Screensaver mode: after the idle time picked in the toolbar, the chosen visual or the playlist starts
+    // full screen, and input (after the grace period) puts the menu back as it was. Settings are remembered.
+    setupScreensaver() {
+        const timeout = document.getElementById('idle-timeout-select');
+        const grace = document.getElementById('idle-grace-select');
+        // A remembered value that is no longer an option (e.g. a visual that isn't loaded) falls back to the default
+        [[timeout, 'idleTimeout', '0'], [grace, 'idleGrace', '2'], [this.idleVisualSelect, 'idleVisual', 'playlist']].forEach(([select, key, fallback]) => {
+            select.value = String(loadSetting(key, fallback));
+            if (!select.value) select.value = fallback;
+        });
+        
+        this.idleWatcher = new IdleWatcher({
+            timeout: parseFloat(timeout.value),
+            grace: parseFloat(grace.value),
+            onIdle: () => this.startScreensaver(),
+            onWake: (e) => this.stopScreensaver(e)
+        });
+        timeout.addEventListener('change', () => {
+            this.idleWatcher.setTimeout(parseFloat(timeout.value));
+            saveSetting('idleTimeout', this.idleWatcher.timeout);
+        });
+        grace.addEventListener('change', () => {
+            this.idleWatcher.grace = parseFloat(grace.value);
+            saveSetting('idleGrace', this.idleWatcher.grace);
+        });
+        this.idleVisualSelect.addEventListener('change', () => saveSetting('idleVisual', this.idleVisualSelect.value));
+        
+        // Hidden pages lose their wake lock; a visual still on screen takes it back when the page returns
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden && this.currentVisual) this.acquireWakeLock();
+        });
+    }
+    
+    // Called by the IdleWatcher; declines (returns false) while something is already on screen or a dialog
+    // is open
+    startScreensaver() {
+        if (this.currentVisual || document.querySelector('dialog[open]')) return false;
+        const choice = this.idleVisualSelect.value;
+        const playlist = choice === 'playlist' ? this.playlistOptions() : null;
+        if (!playlist && !VISUALS[choice]) return false;
+        this.menuScroll = this.menu.scrollTop;
+        if (playlist) this.startPlaylist(playlist);
+        else this.startVisual(choice);
+        return true;
+    }
+    
+    stopScreensaver(e) {
+        // The press that wakes the screen shouldn't also click whatever menu item is under it
+        if (e.type === 'pointerdown') {
+            document.addEventListener('click', (click) => {
+                click.preventDefault();
+                click.stopPropagation();
+            }, { capture: true, once: true });
+        }
+        this.exitFullscreen();
+        if (this.menuScroll != null) this.menu.scrollTop = this.menuScroll;
+        this.menuScroll = null;
+    }
+    
+    // Interactive mode: pointer and touch input over the full-screen visual is collected here and handed to
+    // the visual every frame (BaseVisual.setPointers). A mouse counts while it hovers; touches and pens
+    // while they are down.
+    setupPointerInput() {
+        this.interactiveToggle = document.getElementById('interactive-toggle');
+        this.interactiveToggle.addEventListener('change', () => this.setInteractive(this.interactiveToggle.checked));
+        
+        const track = (e) => {
+            if (!this.interactive || e.target !== this.canvas) return;
+            if (e.pointerType !== 'mouse' && !e.buttons) return;
+            const previous = this.pointers.get(e.pointerId);
+            const pointer = { id: e.pointerId, x: e.clientX, y: e.clientY, vx: 0, vy: 0, down: e.buttons > 0, time: e.timeStamp };
+            if (previous && e.timeStamp > previous.time) {
+                // Velocity smoothed over a few events, since move events arrive unevenly
+                const dt = (e.timeStamp - previous.time) / 1000;
+                const k = Math.min(1, dt / 0.05);
+                pointer.vx = previous.vx + ((pointer.x - previous.x) / dt - previous.vx) * k;
+                pointer.vy = previous.vy + ((pointer.y - previous.y) / dt - previous.vy) * k;
+            }
+            this.pointers.set(e.pointerId, pointer);
+        };
+        const release = (e) => {
+            if (e.pointerType === 'mouse' && e.type === 'pointerup') track(e);
+            else this.pointers.delete(e.pointerId);
         };
-        return visuals[type] || MosaicVisual;
+        this.visualContainer.addEventListener('pointerdown', track);
+        this.visualContainer.addEventListener('pointermove', track);
+        this.visualContainer.addEventListener('pointerup', release);
+        this.visualContainer.addEventListener('pointercancel', release);
+        this.visualContainer.addEventListener('pointerleave', release);
     }
     
-    animate() {
-        this.currentVisual.update();
-        this.currentVisual.render();
-        this.animationId = requestAnimationFrame(() => this.animate());
+    setInteractive(interactive) {
+        this.interactive = !!interactive;
+        this.interactiveToggle.checked = this.interactive;
+        this.visualContainer.classList.toggle('interactive', this.interactive);
+        this.pointers.clear();
+        if (this.currentVisual) this.currentVisual.setPointers([]);
+        this.updateUrl();
+    }
+    
+    // Pointers in scene coordinates (the span's viewport maps the window onto part of a larger scene). A
+    // pointer that hasn't moved for a moment has stopped, whatever its last events said.
+    scenePointers(now) {
+        const viewport = this.span ? this.span.viewport : { x: 0, y: 0, width: window.innerWidth, height: window.innerHeight };
+        const kx = viewport.width / window.innerWidth;
+        const ky = viewport.height / window.innerHeight;
+        return [...this.pointers.values()].map(({ id, x, y, vx, vy, down, time }) => {
+            const moving = now - time < 100;
+            return {
+                id,
+                x: viewport.x + x * kx,
+                y: viewport.y + y * ky,
+                vx: moving ? vx * kx : 0,
+                vy: moving ? vy * ky : 0,
+                down
+            };
+        });
+    }
+    
+    pause() {
+        this.paused = true;
+    }
+    
+    resume() {
+        this.paused = false;
+    }
+    
+    togglePause() {
+        if (this.paused) this.resume();
+        else this.pause();
+    }
+    
+    // Pauses and advances the fullscreen visual by exactly one frame
+    stepFrame() {
+        if (!this.currentVisual) return;
+        this.pause();
+        stepVisual(this.currentVisual, FRAME_STEP * this.speed);
+        this.needsRender = true;
     }
     
     exitFullscreen() {
@@ -130,1105 +702,1462 @@ class VisualScreensaver {
         // Show menu, hide visual
         this.visualContainer.classList.add('hidden');
         this.menu.style.display = 'block';
+        this.previewScheduler.resume();
+        this.toggleSettings(false);
+        if (this.currentVisual && this.currentVisual.destroy) {
+            this.currentVisual.destroy();
+        }
         this.currentVisual = null;
+        this.currentType = null;
+        this.idleWatcher.stop();
+        this.updateUrl();
+    }
+    
+    // Deep links: index.html#visual=lanterns&seed=7&palette=dusk&fullscreen=1 (plus speed and any visual
+    // parameter, e.g. &count=5). The hash is kept in sync with what is on screen so it can be shared as-is.
+    // For a wall of monitors, each display opens the same link plus its slice of the whole scene:
+    // #visual=streets&seed=3&scene=5760x1080&viewport=1920,0,1920,1080&fullscreen=1
+    // `at=HH:MM` previews live time-of-day modes at another time: #visual=sunset&liveTime=1&at=19:30&fullscreen=1
+    setupRouting() {
+        window.addEventListener('hashchange', () => this.applyRoute(parseRoute(location.hash)));
+        this.applyRoute(parseRoute(location.hash));
+    }
+    
+    applyRoute(route) {
+        // Anything the link leaves out goes back to its default, so a shared link reproduces the same screen
+        const speed = route.speed >= 0 ? route.speed : 1;
+        const palette = PALETTES[route.palette] ? route.palette : 'original';
+        this.seedInput.value = route.seed != null ? route.seed : '';
+        document.getElementById('speed-select').value = String(speed);
+        this.paletteSelect.value = palette;
+        this.setSpeed(speed);
+        this.setPalette(palette);
+        this.setInteractive(route.interactive);
+        
+        if (route.visual && VISUALS[route.visual] && route.fullscreen) {
+            const seed = route.seed != null ? normalizeSeed(route.seed) : null;
+            this.startVisual(route.visual, { seed, params: route.params, span: route.span, at: route.at });
+        } else if (this.currentVisual) {
+            this.exitFullscreen();
+        } else if (route.visual && VISUALS[route.visual]) {
+            const item = document.querySelector(`.menu-item[data-visual="${route.visual}"]`);
+            item.scrollIntoView({ block: 'center' });
+        }
+    }
+    
+    // Only non-default parameters are written, so links stay short and pick up future default changes
+    updateUrl() {
+        const route = { palette: this.palette, interactive: this.interactive, params: {} };
+        if (this.speed !== 1) route.speed = this.speed;
+        const visual = this.currentType && this.activeVisual();
+        if (visual) {
+            route.visual = this.currentType;
+            route.seed = visual.seed;
+            route.fullscreen = true;
+            route.span = this.span;
+            route.at = this.at;
+            Object.entries(visualClassOf(visual).params).forEach(([key, def]) => {
+                if (visual.params[key] !== def.default) route.params[key] = visual.params[key];
+            });
+        } else if (this.seedInput.value.trim()) {
+            route.seed = this.seedInput.value.trim();
+        }
+        const hash = formatRoute(route);
+        if (hash !== location.hash.slice(1)) {
+            history.replaceState(null, '', hash ? `#${hash}` : location.pathname + location.search);
+        }
     }
     
-    initPreviews() {
-        const types = ['mosaic', 'smoke', 'lightshade', 'lanterns', 'sunset', 'bloom', 'urbanity', 'streets'];
+    // Builds a menu card for every registered visual, and for any registered later
+    initMenu() {
         const fullW = Math.min(window.innerWidth, 1920);
         const fullH = Math.min(window.innerHeight, 1080);
         document.documentElement.style.setProperty('--preview-aspect', `${fullW} / ${fullH}`);
-        const previewW = 280;
-        const previewH = Math.round(previewW * fullH / fullW);
-        types.forEach(type => {
-            const preview = document.getElementById(`preview-${type}`);
-            const visibleCanvas = document.createElement('canvas');
-            visibleCanvas.width = previewW;
-            visibleCanvas.height = previewH;
-            preview.appendChild(visibleCanvas);
-            const visibleCtx = visibleCanvas.getContext('2d');
-            
-            const offscreen = document.createElement('canvas');
-            offscreen.width = fullW;
-            offscreen.height = fullH;
-            const offscreenCtx = offscreen.getContext('2d');
-            
-            const VisualClass = this.getVisualClass(type);
-            const visual = new VisualClass(offscreen, offscreenCtx);
-            
-            let lastTime = 0;
-            const previewAnimate = (time) => {
-                if (time - lastTime > 16) {
-                    visual.update();
-                    visual.render();
-                    visibleCtx.drawImage(offscreen, 0, 0, fullW, fullH, 0, 0, previewW, previewH);
-                    lastTime = time;
-                }
-                requestAnimationFrame(previewAnimate);
-            };
-            previewAnimate(0);
+        this.previewScene = { width: fullW, height: fullH };
+        Object.values(VISUAL_DEFINITIONS).forEach(def => this.addVisual(def));
+        onVisualRegistered(def => this.addVisual(def));
+    }
+    
+    addVisual(def) {
+        const item = document.createElement('div');
+        item.className = 'menu-item';
+        item.dataset.visual = def.id;
+        item.dataset.category = def.category;
+        const preview = document.createElement('div');
+        preview.className = 'menu-preview';
+        const title = document.createElement('h2');
+        title.textContent = def.name;
+        const category = document.createElement('span');
+        category.className = 'menu-category';
+        category.textContent = def.category;
+        const actions = document.createElement('div');
+        actions.className = 'menu-actions';
+        const fullscreenBtn = document.createElement('button');
+        fullscreenBtn.className = 'fullscreen-btn';
+        fullscreenBtn.textContent = 'Full Screen';
+        fullscreenBtn.addEventListener('click', () => this.startVisual(def.id));
+        const exportBtn = document.createElement('button');
+        exportBtn.className = 'export-btn';
+        exportBtn.textContent = 'Export';
+        exportBtn.addEventListener('click', () => this.openExportDialog(def.id));
+        actions.append(fullscreenBtn, exportBtn);
+        item.append(preview, title, category, actions);
+        document.getElementById('menu-grid').insertBefore(item, document.getElementById('playlist-card'));
+        
+        this.exportDialog.querySelector('[name="visual"]').add(new Option(def.name, def.id));
+        this.addPlaylistOption(def);
+        this.createPreview(def, preview);
+    }
+    
+    // Previews draw the same full-size scene as fullscreen, scaled down into a canvas sized to the card
+    createPreview(def, container) {
+        const canvas = document.createElement('canvas');
+        container.appendChild(canvas);
+        const { seed, time = 0, params } = def.thumbnail;
+        const visual = this.createVisual(def.id, canvas, {
+            ...this.previewScene,
+            seed,
+            params,
+            palette: this.palette
         });
+        advanceVisual(visual, time);
+        this.previewScheduler.add(visual, canvas);
     }
-}
-
-// Base Visual Class — scale so fullscreen matches preview density (ref = 280×200)
-const REF_AREA = 280 * 200;
-function visualScale(width, height) {
-    return Math.sqrt((width * height) / REF_AREA);
-}
-
-class BaseVisual {
-    constructor(canvas, ctx) {
-        this.canvas = canvas;
-        this.ctx = ctx;
-        this.width = canvas.width;
-        this.height = canvas.height;
-        this.time = 0;
-        this.scale = visualScale(canvas.width, canvas.height);
+    
+    // Third-party visuals: an ES module whose default export receives the visuals API and registers itself,
+    //   export default ({ BaseVisual, registerVisual }) => registerVisual({ id: 'rain', name: 'Rain', visualClass: ... });
+    // Plain <script> files loaded after visuals.js can call registerVisual() directly instead.
+    async loadVisualModule(url) {
+        const module = await import(url);
+        if (typeof module.default === 'function') {
+            module.default(VisualsAPI);
+        }
     }
     
-    resize(width, height) {
-        this.width = width;
-        this.height = height;
-        this.scale = visualScale(width, height);
+    addPlaylistOption(def) {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = def.id;
+        checkbox.checked = true;
+        label.append(checkbox, def.name);
+        document.querySelector('#playlist-card .playlist-visuals').appendChild(label);
+        this.idleVisualSelect.add(new Option(def.name, def.id));
     }
     
-    update() {
-        this.time += 0.016; // ~60fps
+    setupPlaylistCard() {
+        const card = document.getElementById('playlist-card');
+        const list = card.querySelector('.playlist-visuals');
+        card.querySelector('.fullscreen-btn').addEventListener('click', () => {
+            const options = this.playlistOptions();
+            if (!options) {
+                alert('Pick at least one visual for the playlist.');
+                return;
+            }
+            this.startPlaylist(options);
+        });
     }
     
-    render() {
-        // Override in subclasses
+    // The playlist as set up on its card, or null when no visual is ticked
+    playlistOptions() {
+        const card = document.getElementById('playlist-card');
+        const types = [...card.querySelectorAll('.playlist-visuals input:checked')].map(input => input.value);
+        if (!types.length) return null;
+        return {
+            types,
+            interval: Math.max(5, parseFloat(card.querySelector('[name="interval"]').value) || 30),
+            transition: card.querySelector('[name="transition"]').value,
+            shuffle: card.querySelector('[name="shuffle"]').checked
+        };
     }
-}
-
-// Mosaic Visual — low-poly triangulated mesh (no external deps), gradient colors, moving
-class MosaicVisual extends BaseVisual {
-    constructor(canvas, ctx) {
-        super(canvas, ctx);
-        this.grid = [];
-        this.initMesh();
-    }
-    
-    initMesh() {
-        const s = this.scale;
-        const cellSize = (36 + Math.random() * 24) * s;
-        const jitter = 0.45;
-        this.grid = [];
-        const cols = Math.ceil(this.width / cellSize) + 2;
-        const rows = Math.ceil(this.height / cellSize) + 2;
+    
+    setupSettingsPanel() {
+        this.settingsPanel = document.getElementById('settings-panel');
+        document.getElementById('settings-toggle').addEventListener('click', () => this.toggleSettings());
+        this.settingsPanel.querySelector('.settings-reset').addEventListener('click', () => {
+            const visual = this.activeVisual();
+            if (!visual) return;
+            Object.entries(visualClassOf(visual).params).forEach(([key, def]) => visual.setParam(key, def.default));
+            this.needsRender = true;
+            this.refreshSettings();
+            this.updateUrl();
+        });
+    }
+    
+    toggleSettings(open = this.settingsPanel.classList.contains('hidden')) {
+        this.settingsPanel.classList.toggle('hidden', !open);
+        this.refreshSettings();
+    }
+    
+    // Rebuilds the panel's fields from the active visual's parameter schema
+    refreshSettings() {
+        if (this.settingsPanel.classList.contains('hidden')) return;
+        const visual = this.activeVisual();
+        const fields = this.settingsPanel.querySelector('.settings-fields');
+        fields.textContent = '';
+        if (!visual) return;
         
-        for (let row = 0; row < rows; row++) {
-            const r = [];
-            for (let col = 0; col < cols; col++) {
-                const jx = (Math.random() - 0.5) * cellSize * jitter;
-                const jy = (Math.random() - 0.5) * cellSize * jitter;
-                r.push({
-                    x0: col * cellSize + jx - cellSize * 0.5,
-                    y0: row * cellSize + jy - cellSize * 0.5,
-                    x: 0,
-                    y: 0,
-                    phase: Math.random() * Math.PI * 2,
-                    phaseY: Math.random() * Math.PI * 2,
-                    amp: (4 + Math.random() * 10) * s
-                });
-            }
-            this.grid.push(r);
+        const type = this.activeType();
+        this.settingsPanel.querySelector('h2').textContent = `${this.visualName(type)} settings`;
+        const schema = visualClassOf(visual).params;
+        Object.entries(schema).forEach(([key, def]) => fields.appendChild(this.createParamField(visual, key, def)));
+        if (!Object.keys(schema).length) {
+            fields.textContent = 'This visual has no settings.';
         }
     }
     
-    update() {
-        super.update();
-        const t = this.time * 0.2;
-        const wobbleScale = 1;
-        for (let row = 0; row < this.grid.length; row++) {
-            for (let col = 0; col < this.grid[row].length; col++) {
-                const p = this.grid[row][col];
-                p.x = p.x0 + p.amp * Math.sin(t + p.phase) * wobbleScale;
-                p.y = p.y0 + p.amp * Math.cos(t * 0.8 + p.phaseY) * wobbleScale;
-            }
+    createParamField(visual, key, def) {
+        const field = document.createElement('label');
+        field.className = 'settings-field';
+        const name = document.createElement('span');
+        name.textContent = def.label;
+        field.appendChild(name);
+        
+        let input;
+        if (def.type === 'boolean') {
+            input = document.createElement('input');
+            input.type = 'checkbox';
+            input.checked = visual.params[key];
+            field.classList.add('settings-field-inline');
+        } else if (def.type === 'select') {
+            input = document.createElement('select');
+            def.options.forEach(o => input.add(new Option(o.label, o.value)));
+            input.value = visual.params[key];
+        } else {
+            input = document.createElement('input');
+            input.type = 'range';
+            input.min = def.min;
+            input.max = def.max;
+            input.step = def.step;
+            input.value = visual.params[key];
+            const output = document.createElement('output');
+            output.textContent = formatParam(def, visual.params[key]);
+            name.appendChild(output);
         }
+        input.addEventListener('input', () => {
+            visual.setParam(key, def.type === 'boolean' ? input.checked : input.value);
+            const output = name.querySelector('output');
+            if (output) output.textContent = formatParam(def, visual.params[key]);
+            this.needsRender = true;
+            this.updateUrl();
+        });
+        field.appendChild(input);
+        return field;
     }
     
-    render() {
-        this.ctx.fillStyle = '#0a0a12';
-        this.ctx.fillRect(0, 0, this.width, this.height);
+    setupPalettes() {
+        this.paletteSelect = document.getElementById('palette-select');
+        this.paletteDialog = document.getElementById('palette-dialog');
+        const form = this.paletteDialog.querySelector('form');
+        const fields = form.elements;
+        const status = form.querySelector('.dialog-status');
         
-        const hueOffset = (this.time * 14) % 360;
+        loadCustomPalettes().forEach(def => {
+            try {
+                definePalette(def);
+            } catch (e) {
+                console.log('Skipping saved palette:', e);
+            }
+        });
+        this.fillPaletteSelects();
         
-        for (let row = 0; row < this.grid.length - 1; row++) {
-            for (let col = 0; col < this.grid[row].length - 1; col++) {
-                const p00 = this.grid[row][col];
-                const p10 = this.grid[row][col + 1];
-                const p01 = this.grid[row + 1][col];
-                const p11 = this.grid[row + 1][col + 1];
-                
-                const flip = (row + col) % 2 === 0;
-                const tri1 = flip ? [p00, p10, p11] : [p00, p10, p01];
-                const tri2 = flip ? [p00, p11, p01] : [p10, p11, p01];
-                
-                this.drawTriangle(tri1, hueOffset, row * (this.grid[row].length - 1) + col);
-                this.drawTriangle(tri2, hueOffset, row * (this.grid[row].length - 1) + col + 1);
+        this.paletteSelect.addEventListener('change', () => {
+            if (this.paletteSelect.value === NEW_PALETTE_OPTION) {
+                this.paletteSelect.value = this.palette || 'original';
+                form.reset();
+                status.textContent = '';
+                this.paletteDialog.showModal();
+            } else {
+                this.setPalette(this.paletteSelect.value);
             }
-        }
+        });
+        
+        form.querySelector('[value="cancel"]').addEventListener('click', () => this.paletteDialog.close());
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const name = fields.name.value.trim();
+            const def = {
+                id: `custom-${name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`,
+                name,
+                colors: fields.colors.value.split(/,(?![^(]*\))/).map(c => c.trim()).filter(Boolean)
+            };
+            if (fields.background.value.trim()) def.background = fields.background.value.trim();
+            if (fields.accent.value.trim()) def.accent = fields.accent.value.trim();
+            try {
+                definePalette(def);
+            } catch (err) {
+                status.textContent = err.message;
+                return;
+            }
+            saveCustomPalette(def);
+            this.fillPaletteSelects();
+            this.paletteSelect.value = def.id;
+            this.setPalette(def.id);
+            this.paletteDialog.close();
+        });
     }
     
-    drawTriangle(pts, hueOffset, seed) {
-        const [a, b, c] = pts;
-        const cx = (a.x + b.x + c.x) / 3;
-        const cy = (a.y + b.y + c.y) / 3;
+    // Toolbar and export dialog list the same palettes; only the toolbar offers to create one
+    fillPaletteSelects() {
+        const selects = [this.paletteSelect, this.exportDialog.querySelector('[name="palette"]')];
+        selects.forEach(select => {
+            const value = select.value || 'original';
+            select.textContent = '';
+            select.add(new Option('Original', 'original'));
+            Object.values(PALETTES).forEach(p => select.add(new Option(p.name, p.id)));
+            if (select === this.paletteSelect) select.add(new Option('New palette…', NEW_PALETTE_OPTION));
+            select.value = value;
+        });
+    }
+    
+    setupExportDialog() {
+        this.exportDialog = document.getElementById('export-dialog');
+        this.exportAbort = null;
+        const form = this.exportDialog.querySelector('form');
+        const fields = form.elements;
+        const status = form.querySelector('.dialog-status');
         
-        const nx = Math.max(0, Math.min(1, cx / this.width));
-        const ny = Math.max(0, Math.min(1, cy / this.height));
-        const hue = (hueOffset + (nx * 0.35 + ny * 0.65) * 300 + seed * 2) % 360;
-        const sat = 70 + (seed % 3) * 10;
-        const light = 40 + (Math.sin(this.time * 0.5 + seed * 0.2) * 0.5 + 0.5) * 25;
+        // Presets grouped by category; their safe areas go with the export (see SIZE_PRESETS)
+        const groups = {};
+        Object.values(SIZE_PRESETS).forEach(preset => {
+            if (!groups[preset.category]) {
+                groups[preset.category] = document.createElement('optgroup');
+                groups[preset.category].label = preset.category;
+                fields.size.append(groups[preset.category]);
+            }
+            groups[preset.category].append(new Option(`${preset.label} — ${preset.width}×${preset.height}`, preset.id));
+        });
+        fields.size.add(new Option('Custom', 'custom'));
         
-        this.ctx.beginPath();
-        this.ctx.moveTo(a.x, a.y);
-        this.ctx.lineTo(b.x, b.y);
-        this.ctx.lineTo(c.x, c.y);
-        this.ctx.closePath();
-        this.ctx.fillStyle = `hsl(${hue}, ${sat}%, ${light}%)`;
-        this.ctx.fill();
-        this.ctx.strokeStyle = `hsla(${hue}, ${sat}%, ${light * 0.75}%, 0.4)`;
-        this.ctx.lineWidth = 1;
-        this.ctx.stroke();
+        const syncSize = () => {
+            const preset = SIZE_PRESETS[fields.size.value];
+            fields.width.disabled = !!preset;
+            fields.height.disabled = !!preset;
+            if (preset) {
+                fields.width.value = preset.width;
+                fields.height.value = preset.height;
+            }
+        };
+        const syncKind = () => {
+            form.querySelectorAll('[data-kind]').forEach(section => {
+                section.hidden = section.dataset.kind !== fields.kind.value;
+            });
+        };
+        const syncQuality = () => {
+            fields.quality.disabled = !EXPORT_FORMATS[fields.format.value].lossy;
+        };
+        // A loop sets its own duration; visuals without a loopPeriod() can't loop
+        const syncLoop = () => {
+            fields.loop.disabled = this.getVisualClass(fields.visual.value).prototype.loopPeriod === BaseVisual.prototype.loopPeriod;
+            fields.duration.disabled = fields.loop.checked && !fields.loop.disabled;
+        };
+        this.syncExportLoop = syncLoop;
+        fields.size.addEventListener('change', syncSize);
+        fields.kind.addEventListener('change', syncKind);
+        fields.format.addEventListener('change', syncQuality);
+        fields.visual.addEventListener('change', syncLoop);
+        fields.loop.addEventListener('change', syncLoop);
+        syncSize();
+        syncKind();
+        syncQuality();
+        
+        // Cancel aborts a running export; otherwise it just closes
+        form.querySelector('[value="cancel"]').addEventListener('click', () => {
+            if (this.exportAbort) this.exportAbort.abort();
+            else this.exportDialog.close();
+        });
+        this.exportDialog.addEventListener('cancel', (e) => {
+            if (this.exportAbort) {
+                e.preventDefault();
+                this.exportAbort.abort();
+            }
+        });
+        
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const submit = form.querySelector('[type="submit"]');
+            const options = {
+                type: fields.visual.value,
+                width: parseInt(fields.width.value, 10),
+                height: parseInt(fields.height.value, 10),
+                time: parseFloat(fields.time.value) || 0,
+                seed: fields.seed.value.trim() ? normalizeSeed(fields.seed.value) : randomSeed(),
+                palette: fields.palette.value,
+                unsafe: SIZE_PRESETS[fields.size.value] ? SIZE_PRESETS[fields.size.value].unsafe : []
+            };
+            submit.disabled = true;
+            this.exportAbort = new AbortController();
+            try {
+                if (fields.kind.value === 'clip') {
+                    await this.exportClip({
+                        ...options,
+                        duration: parseFloat(fields.duration.value),
+                        loop: fields.loop.checked && !fields.loop.disabled,
+                        fps: parseInt(fields.fps.value, 10),
+                        format: fields.clipFormat.value,
+                        signal: this.exportAbort.signal,
+                        onProgress: (frame, total) => {
+                            status.textContent = `Rendering frame ${frame} of ${total}…`;
+                        }
+                    });
+                } else {
+                    status.textContent = 'Rendering…';
+                    await this.exportImage({
+                        ...options,
+                        format: fields.format.value,
+                        quality: parseFloat(fields.quality.value)
+                    });
+                }
+                this.exportDialog.close();
+            } catch (err) {
+                if (err.name !== 'AbortError') {
+                    alert(`Export failed: ${err.message}`);
+                }
+            } finally {
+                this.exportAbort = null;
+                submit.disabled = false;
+                status.textContent = '';
+            }
+        });
     }
     
-    resize(width, height) {
-        super.resize(width, height);
-        this.initMesh();
+    openExportDialog(type) {
+        const fields = this.exportDialog.querySelector('form').elements;
+        fields.visual.value = type;
+        fields.seed.value = this.seedInput.value;
+        fields.palette.value = this.palette || 'original';
+        this.syncExportLoop();
+        this.exportDialog.showModal();
     }
-}
-
-// Smoke Visual
-class SmokeVisual extends BaseVisual {
-    constructor(canvas, ctx) {
-        super(canvas, ctx);
-        this.particles = [];
-        this.initParticles();
-    }
-    
-    initParticles() {
-        const s = this.scale;
-        const count = Math.min(80, Math.max(50, Math.floor(50 * s)));
-        for (let i = 0; i < count; i++) {
-            this.particles.push({
-                x: Math.random() * this.width,
-                y: this.height + Math.random() * 200 * s,
-                vx: (Math.random() - 0.5) * 0.5,
-                vy: -0.5 - Math.random() * 1.5,
-                size: (20 + Math.random() * 80) * s,
-                opacity: 0.1 + Math.random() * 0.3,
-                life: Math.random()
-            });
+    
+    createExportCanvas(width, height) {
+        if (!(width > 0 && height > 0)) {
+            throw new Error('Width and height must be positive');
         }
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        if (canvas.width !== width || canvas.height !== height) {
+            throw new Error(`${width}×${height} exceeds this browser's canvas size limit`);
+        }
+        return canvas;
     }
     
-    update() {
-        super.update();
-        const s = this.scale;
-        this.particles.forEach(p => {
-            p.x += p.vx + Math.sin(this.time + p.life) * 0.3;
-            p.y += p.vy;
-            p.opacity *= 0.998;
-            p.size *= 1.001;
-            
-            if (p.y < -p.size || p.opacity < 0.01) {
-                p.x = Math.random() * this.width;
-                p.y = this.height + Math.random() * 100 * s;
-                p.opacity = 0.2 + Math.random() * 0.3;
-                p.size = (20 + Math.random() * 80) * s;
+    // Renders one frame of a visual offscreen at an arbitrary size and downloads it. SVG skips the canvas
+    // (and its size limit) and records the frame's paths instead; see SvgContext.
+    async exportImage({ type, width, height, time = 0, seed, palette, unsafe, format = 'png', quality = 0.92 }) {
+        if (format === 'svg') {
+            if (!(width > 0 && height > 0)) {
+                throw new Error('Width and height must be positive');
             }
-        });
+            const svg = renderSvg(this.getVisualClass(type), width, height, { seed, time, palette, unsafe });
+            this.downloadBlob(new Blob([svg], { type: EXPORT_FORMATS.svg.mime }), `${type}-${seed}-${width}x${height}.svg`);
+            return;
+        }
+        const canvas = this.createExportCanvas(width, height);
+        const visual = renderStill(this.getVisualClass(type), canvas, { seed, time, palette, unsafe });
+        const { mime, extension } = EXPORT_FORMATS[format];
+        const blob = await canvasToBlob(canvas, mime, quality);
+        this.downloadBlob(blob, `${type}-${visual.seed}-${width}x${height}.${extension}`);
     }
     
-    render() {
-        this.ctx.fillStyle = '#0a0a0a';
-        this.ctx.fillRect(0, 0, this.width, this.height);
+    // Records `duration` seconds from `time` on a FrameClock, so every frame lands even when encoding lags.
+    // With `loop` the clip is instead one loop of the visual (see BaseVisual.loopPeriod), ready to repeat.
+    async exportClip({ type, width, height, time = 0, seed, palette, unsafe, duration, loop = false, fps = 30, format = 'webm', signal, onProgress }) {
+        const canvas = this.createExportCanvas(width, height);
+        const VisualClass = this.getVisualClass(type);
+        const visual = new VisualClass(canvas, canvas.getContext('2d'), { seed, palette, loop, unsafe });
+        if (loop) {
+            if (!visual.loopLength()) {
+                throw new Error(`${this.visualName(type)} can't loop`);
+            }
+            // Rounded to whole frames so the last frame leads straight back into the first
+            visual.loop = Math.max(1, Math.round(visual.loopLength() * fps)) / fps;
+            duration = visual.loop;
+        }
+        if (!(duration > 0)) {
+            throw new Error('Duration must be positive');
+        }
+        const clock = new FrameClock(fps);
+        advanceVisual(visual, time);
         
-        this.particles.forEach(p => {
-            const gradient = this.ctx.createRadialGradient(p.x, p.y, 0, p.x, p.y, p.size);
-            gradient.addColorStop(0, `rgba(200, 200, 220, ${p.opacity})`);
-            gradient.addColorStop(0.5, `rgba(150, 150, 180, ${p.opacity * 0.5})`);
-            gradient.addColorStop(1, `rgba(100, 100, 140, 0)`);
-            
-            this.ctx.fillStyle = gradient;
-            this.ctx.beginPath();
-            this.ctx.arc(p.x, p.y, p.size, 0, Math.PI * 2);
-            this.ctx.fill();
-        });
+        const total = Math.max(1, Math.round(duration * fps));
+        const baseName = `${type}-${visual.seed}-${width}x${height}-${fps}fps${loop ? '-loop' : ''}`;
+        const frames = (async function* () {
+            for (let i = 0; i < total; i++) {
+                if (signal && signal.aborted) {
+                    throw new DOMException('Export cancelled', 'AbortError');
+                }
+                clock.advance(visual);
+                visual.render();
+                if (onProgress) onProgress(i + 1, total);
+                yield i;
+                clock.tick();
+            }
+        })();
+        
+        if (format === 'frames') {
+            const files = [];
+            for await (const i of frames) {
+                const blob = await canvasToBlob(canvas, 'image/png');
+                files.push({
+                    name: `${baseName}/frame-${String(i + 1).padStart(5, '0')}.png`,
+                    data: new Uint8Array(await blob.arrayBuffer())
+                });
+            }
+            this.downloadBlob(createZip(files), `${baseName}.zip`);
+        } else {
+            const blob = await recordWebM(canvas, frames, fps);
+            this.downloadBlob(blob, `${baseName}.webm`);
+        }
     }
     
-    resize(width, height) {
-        super.resize(width, height);
-        this.initParticles();
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
     }
 }
 
-// Light and Shade Visual
-class LightShadeVisual extends BaseVisual {
-    constructor(canvas, ctx) {
-        super(canvas, ctx);
-        this.lights = [];
-        this.initLights();
-    }
-    
-    initLights() {
-        const s = this.scale;
-        const count = Math.min(12, Math.max(5, Math.floor(5 * s)));
-        for (let i = 0; i < count; i++) {
-            this.lights.push({
-                x: Math.random() * this.width,
-                y: Math.random() * this.height,
-                radius: (100 + Math.random() * 200) * s,
-                speedX: (Math.random() - 0.5) * 2,
-                speedY: (Math.random() - 0.5) * 2,
-                hue: Math.random() * 360
-            });
+// Plays a list of visuals in turn. Quacks like a visual (update/render/resize) so the normal animation
+// loop drives it; each visual renders into its own buffer and the pair is blended during a transition.
+class PlaylistPlayer {
+    // width/height are the scene size in CSS pixels; buffers match the canvas backing store
+    constructor(canvas, ctx, { types, width = canvas.width, height = canvas.height, interval = 30, transition = 'crossfade', transitionDuration = 2, shuffle = false, seed = null, palette = null, getVisualClass, onChange }) {
+        this.canvas = canvas;
+        this.ctx = ctx;
+        this.width = width;
+        this.height = height;
+        this.types = types;
+        this.interval = interval;
+        this.transition = transition;
+        this.transitionDuration = Math.min(transitionDuration, interval / 2);
+        this.shuffle = shuffle;
+        this.seed = seed;
+        this.palette = palette;
+        this.getVisualClass = getVisualClass;
+        this.onChange = onChange;
+        this.order = [];
+        this.history = [];
+        this.elapsed = 0;
+        this.qualityLevel = 0;
+        this.current = this.createEntry(this.nextType());
+        this.incoming = null;
+    }
+    
+    // Shuffled order is redrawn each pass, never repeating the visual that just played
+    nextType() {
+        if (!this.order.length) {
+            this.order = [...this.types];
+            if (this.shuffle) {
+                for (let i = this.order.length - 1; i > 0; i--) {
+                    const j = Math.floor(Math.random() * (i + 1));
+                    [this.order[i], this.order[j]] = [this.order[j], this.order[i]];
+                }
+                if (this.current && this.order.length > 1 && this.order[0] === this.current.type) {
+                    this.order.push(this.order.shift());
+                }
+            }
         }
+        return this.order.shift();
     }
     
-    update() {
-        super.update();
-        this.lights.forEach(light => {
-            light.x += light.speedX;
-            light.y += light.speedY;
-            light.hue = (light.hue + 0.5) % 360;
-            
-            if (light.x < 0 || light.x > this.width) light.speedX *= -1;
-            if (light.y < 0 || light.y > this.height) light.speedY *= -1;
+    createEntry(type, seed = this.seed) {
+        const buffer = document.createElement('canvas');
+        buffer.width = this.canvas.width;
+        buffer.height = this.canvas.height;
+        const VisualClass = this.getVisualClass(type);
+        const visual = new VisualClass(buffer, buffer.getContext('2d'), {
+            width: this.width,
+            height: this.height,
+            seed,
+            palette: this.palette
         });
+        visual.setQualityLevel(this.qualityLevel);
+        if (this.onChange) this.onChange(type, visual);
+        return { type, buffer, visual };
     }
     
+    update(dt) {
+        this.elapsed += dt;
+        if (!this.incoming && this.types.length > 1 && this.elapsed >= this.interval - this.transitionDuration) {
+            this.incoming = this.createEntry(this.nextType());
+        }
+        this.current.visual.update(dt);
+        if (this.incoming) {
+            this.incoming.visual.update(dt);
+            if (this.elapsed >= this.interval) {
+                this.remember(this.current.type);
+                this.current = this.incoming;
+                this.incoming = null;
+                this.elapsed -= this.interval;
+            }
+        }
+    }
+    
+    // Cuts straight to the next visual (step 1) or back to the one that played before (step -1)
+    skip(step) {
+        if (step < 0) {
+            if (!this.history.length) return;
+            // What was coming up comes up again after it
+            if (this.incoming) this.order.unshift(this.incoming.type);
+            this.order.unshift(this.current.type);
+            this.current = this.createEntry(this.history.pop());
+        } else {
+            this.remember(this.current.type);
+            this.current = this.incoming || this.createEntry(this.nextType());
+        }
+        this.incoming = null;
+        this.elapsed = 0;
+    }
+    
+    remember(type) {
+        this.history.push(type);
+        if (this.history.length > 50) this.history.shift();
+    }
+    
+    // Restarts the current visual with a random seed
+    reseed() {
+        this.current = this.createEntry(this.current.type, randomSeed());
+        this.incoming = null;
+        this.elapsed = 0;
+    }
+    
+    // Runs under drawVisual's scene transform, so buffers are drawn at scene size
     render() {
-        // Dark base
-        this.ctx.fillStyle = '#050505';
-        this.ctx.fillRect(0, 0, this.width, this.height);
+        drawVisual(this.current.visual);
+        this.ctx.drawImage(this.current.buffer, 0, 0, this.width, this.height);
+        if (!this.incoming) return;
         
-        // Draw lights with shadows
-        this.lights.forEach(light => {
-            const gradient = this.ctx.createRadialGradient(
-                light.x, light.y, 0,
-                light.x, light.y, light.radius
-            );
-            gradient.addColorStop(0, `hsla(${light.hue}, 70%, 60%, 0.8)`);
-            gradient.addColorStop(0.5, `hsla(${light.hue}, 60%, 50%, 0.3)`);
-            gradient.addColorStop(1, 'transparent');
-            
-            this.ctx.fillStyle = gradient;
-            this.ctx.beginPath();
-            this.ctx.arc(light.x, light.y, light.radius, 0, Math.PI * 2);
-            this.ctx.fill();
-        });
+        drawVisual(this.incoming.visual);
+        const t = Math.min(1, (this.elapsed - (this.interval - this.transitionDuration)) / this.transitionDuration);
+        const p = t * t * (3 - 2 * t);
+        if (this.transition === 'wipe') {
+            const edge = this.width * p;
+            const k = this.incoming.buffer.width / this.width;
+            if (edge * k >= 1) {
+                this.ctx.drawImage(this.incoming.buffer, 0, 0, edge * k, this.incoming.buffer.height, 0, 0, edge, this.height);
+            }
+        } else {
+            this.ctx.globalAlpha = p;
+            this.ctx.drawImage(this.incoming.buffer, 0, 0, this.width, this.height);
+            this.ctx.globalAlpha = 1;
+        }
+    }
+    
+    get activeVisual() {
+        return (this.incoming || this.current).visual;
+    }
+    
+    setPalette(palette) {
+        this.palette = palette;
+        [this.current, this.incoming].forEach(entry => entry && entry.visual.setPalette(palette));
+    }
+    
+    setAudio(features) {
+        [this.current, this.incoming].forEach(entry => entry && entry.visual.setAudio(features));
+    }
+    
+    setPointers(pointers) {
+        [this.current, this.incoming].forEach(entry => entry && entry.visual.setPointers(pointers));
+    }
+    
+    // Each visual clamps the level to its own range
+    setQualityLevel(level) {
+        this.qualityLevel = level;
+        [this.current, this.incoming].forEach(entry => entry && entry.visual.setQualityLevel(level));
     }
     
     resize(width, height) {
-        super.resize(width, height);
-        this.initLights();
+        this.width = width;
+        this.height = height;
+        this.resizeBuffers();
+        [this.current, this.incoming].forEach(entry => entry && entry.visual.resize(width, height));
+    }
+    
+    resizeBuffers() {
+        [this.current, this.incoming].forEach(entry => {
+            if (!entry) return;
+            entry.buffer.width = this.canvas.width;
+            entry.buffer.height = this.canvas.height;
+        });
     }
 }
 
-// Lanterns Visual — Chinese lanterns; depth-sorted with branches and beams so they pass in/out
-class LanternsVisual extends BaseVisual {
-    constructor(canvas, ctx) {
-        super(canvas, ctx);
-        this.lanterns = [];
-        this.obstructions = [];
-        this.initLanterns();
-        this.initObstructions();
-    }
-    
-    initLanterns() {
-        const s = this.scale;
-        const count = Math.min(14, Math.max(5, Math.floor(6 * s)));
-        const sizeScale = 0.58;
-        for (let i = 0; i < count; i++) {
-            this.lanterns.push({
-                x: Math.random() * this.width,
-                y: Math.random() * this.height,
-                radius: (28 + Math.random() * 38) * s * sizeScale,
-                swing: Math.random() * Math.PI * 2,
-                swingSpeed: 0.00015 + Math.random() * 0.00035,
-                floatSpeed: (0.004 + Math.random() * 0.009) * s,
-                swayAmount: 0.04 + Math.random() * 0.08,
-                hue: 0 + Math.random() * 14,
-                sat: 88 + Math.random() * 12,
-                ribOffset: Math.random() * Math.PI
-            });
+// Smoothed frame rate and per-frame cost for the HUD and the quality governor. record() takes the frame's
+// timestamp and the milliseconds spent on it. Gaps longer than MAX_GAP (a hidden tab, a stall while a visual
+// is created) aren't frames and are left out of the rate.
+class FrameStats {
+    static MAX_GAP = 250;
+    
+    constructor() {
+        this.reset();
+    }
+    
+    reset() {
+        this.last = null;
+        this.interval = 0;
+        this.work = 0;
+    }
+    
+    record(now, work) {
+        if (this.last != null && now > this.last && now - this.last < FrameStats.MAX_GAP) {
+            this.interval = this.interval ? this.interval + (now - this.last - this.interval) * 0.1 : now - this.last;
         }
+        this.last = now;
+        this.work += (work - this.work) * 0.1;
     }
     
-    initObstructions() {
-        const w = this.width;
-        const h = this.height;
-        const s = this.scale;
-        this.obstructions = [];
-        const branchColor = 'rgba(28, 22, 18, 0.92)';
-        
-        // Branches — curved strokes at various depths (lanterns will pass in front/behind)
-        const branches = [
-            { depth: 0.22, path: () => { this.ctx.moveTo(-w * 0.08, h * 0.2); this.ctx.quadraticCurveTo(w * 0.15, h * 0.1, w * 0.35, h * 0.5); this.ctx.quadraticCurveTo(w * 0.28, h * 0.75, w * 0.1, h * 1.05); } },
-            { depth: 0.48, path: () => { this.ctx.moveTo(w * 1.02, h * 0.35); this.ctx.quadraticCurveTo(w * 0.82, h * 0.5, w * 0.7, h * 0.85); this.ctx.quadraticCurveTo(w * 0.65, h * 0.5, w * 0.5, h * 0.1); } },
-            { depth: 0.58, path: () => { this.ctx.moveTo(-w * 0.05, h * 0.65); this.ctx.quadraticCurveTo(w * 0.4, h * 0.5, w * 0.72, h * 0.35); this.ctx.quadraticCurveTo(w * 0.6, h * 0.15, w * 0.25, -h * 0.05); } },
-            { depth: 0.72, path: () => { this.ctx.moveTo(w * 0.88, h * 0.7); this.ctx.quadraticCurveTo(w * 0.5, h * 0.55, w * 0.12, h * 0.72); this.ctx.lineTo(-w * 0.03, h * 0.5); } },
-            { depth: 0.35, path: () => { this.ctx.moveTo(w * 0.6, -h * 0.02); this.ctx.quadraticCurveTo(w * 0.75, h * 0.4, w * 0.68, h * 0.88); } },
-        ];
-        branches.forEach(b => this.obstructions.push({ type: 'branch', depth: b.depth, draw: b.path, color: branchColor, width: 4 + Math.random() * 5 }));
-    }
-    
-    update() {
-        super.update();
-        const s = this.scale;
-        this.lanterns.forEach(lantern => {
-            lantern.swing += lantern.swingSpeed;
-            lantern.x += Math.sin(lantern.swing) * lantern.swayAmount * s;
-            lantern.y -= lantern.floatSpeed;
-            if (lantern.y < -lantern.radius * 3) {
-                lantern.y = this.height + lantern.radius * 2;
-                lantern.x = Math.random() * this.width;
-            }
-        });
+    get fps() {
+        return this.interval ? 1000 / this.interval : 0;
     }
+}
+
+// Adaptive quality: update() is called every frame with the smoothed frame interval and returns the quality level
+// to run at. After DOWN_AFTER seconds over budget it steps down a level; after upDelay seconds with headroom it
+// steps back up. A step up that puts frames back over budget within HOLD seconds doubles upDelay, so a scene on
+// the edge settles at the level it can sustain instead of oscillating.
+class QualityGovernor {
+    static DOWN_AFTER = 1;
+    static HOLD = 3;
+    static UP_DELAY = 5;
+    static MAX_UP_DELAY = 120;
     
-    lanternDepth(lantern) {
-        const y = Math.max(-lantern.radius * 2, Math.min(this.height + lantern.radius * 2, lantern.y));
-        return 0.12 + 0.82 * (1 - (y / (this.height + lantern.radius * 4)));
+    // budget is the frame interval to hold, in milliseconds
+    constructor({ budget = 1000 / 60 } = {}) {
+        this.budget = budget;
+        this.reset();
     }
     
-    drawObstruction(ob) {
-        if (ob.type === 'branch') {
-            this.ctx.strokeStyle = ob.color;
-            this.ctx.lineWidth = (ob.width || 5) * this.scale;
-            this.ctx.lineCap = 'round';
-            this.ctx.lineJoin = 'round';
-            this.ctx.beginPath();
-            ob.draw.call(this);
-            this.ctx.stroke();
-        }
+    reset() {
+        this.over = 0;
+        this.under = 0;
+        this.sinceRaise = Infinity;
+        this.upDelay = QualityGovernor.UP_DELAY;
     }
     
-    drawLanternLightSpill(lantern) {
-        const r = lantern.radius;
-        const h = lantern.hue;
-        const sat = lantern.sat;
-        const spillRadius = r * 3.2;
-        const spill = this.ctx.createRadialGradient(
-            lantern.x, lantern.y, 0,
-            lantern.x, lantern.y, spillRadius
-        );
-        spill.addColorStop(0, `hsla(${h}, ${sat}%, 65%, 0.14)`);
-        spill.addColorStop(0.4, `hsla(${h}, ${sat}%, 55%, 0.06)`);
-        spill.addColorStop(0.7, `hsla(${h}, ${sat}%, 45%, 0.02)`);
-        spill.addColorStop(1, 'transparent');
-        this.ctx.fillStyle = spill;
-        this.ctx.beginPath();
-        this.ctx.arc(lantern.x, lantern.y, spillRadius, 0, Math.PI * 2);
-        this.ctx.fill();
-    }
-    
-    drawOneLantern(lantern) {
-        const tilt = Math.sin(lantern.swing) * 0.05;
-        const r = lantern.radius;
-        const h = lantern.hue;
-        const sat = lantern.sat;
-        const hotY = -r * 0.15;
-        
-        this.ctx.save();
-        this.ctx.translate(lantern.x, lantern.y);
-        this.ctx.rotate(tilt);
-        
-        const halo = this.ctx.createRadialGradient(0, 0, r * 0.5, 0, 0, r * 1.8);
-        halo.addColorStop(0, `hsla(${h}, ${sat}%, 55%, 0.12)`);
-        halo.addColorStop(0.6, `hsla(${h}, ${sat}%, 45%, 0.04)`);
-        halo.addColorStop(1, 'transparent');
-        this.ctx.fillStyle = halo;
-        this.ctx.beginPath();
-        this.ctx.arc(0, 0, r * 1.8, 0, Math.PI * 2);
-        this.ctx.fill();
-        
-        const body = this.ctx.createRadialGradient(0, hotY, 0, 0, 0, r);
-        body.addColorStop(0, 'hsla(35, 60%, 92%, 0.98)');
-        body.addColorStop(0.08, 'hsla(12, 90%, 78%, 0.97)');
-        body.addColorStop(0.2, `hsla(${h}, ${sat}%, 58%, 0.98)`);
-        body.addColorStop(0.5, `hsla(${h}, ${sat}%, 52%, 0.97)`);
-        body.addColorStop(0.85, `hsla(${h}, ${sat}%, 48%, 0.96)`);
-        body.addColorStop(1, `hsla(${h}, ${sat}%, 38%, 0.92)`);
-        this.ctx.fillStyle = body;
-        this.ctx.beginPath();
-        this.ctx.arc(0, 0, r, 0, Math.PI * 2);
-        this.ctx.fill();
+    update(level, maxLevel, interval, dt) {
+        if (!interval) return level;
+        this.sinceRaise += dt;
+        if (interval > this.budget * 1.25) {
+            this.over += dt;
+            this.under = 0;
+        } else if (interval < this.budget * 1.1) {
+            this.under += dt;
+            this.over = 0;
+        } else {
+            this.over = 0;
+            this.under = 0;
+        }
         
-        const ribCount = 10;
-        this.ctx.strokeStyle = `hsla(${h}, ${sat}%, 28%, 0.22)`;
-        this.ctx.lineWidth = Math.max(0.5, r * 0.012);
-        for (let i = 0; i < ribCount; i++) {
-            const a = (i / ribCount) * Math.PI * 2 + lantern.ribOffset;
-            this.ctx.beginPath();
-            for (let t = -0.88; t <= 0.88; t += 0.05) {
-                const y = t * r;
-                const x = Math.sqrt(Math.max(0, 1 - (y / r) * (y / r))) * r * Math.cos(a);
-                if (t === -0.88) this.ctx.moveTo(x, y);
-                else this.ctx.lineTo(x, y);
+        if (this.over >= QualityGovernor.DOWN_AFTER && level < maxLevel) {
+            if (this.sinceRaise < QualityGovernor.HOLD) {
+                this.upDelay = Math.min(QualityGovernor.MAX_UP_DELAY, this.upDelay * 2);
             }
-            this.ctx.stroke();
+            this.over = 0;
+            return level + 1;
         }
-        
-        this.ctx.fillStyle = 'hsla(0, 20%, 12%, 0.95)';
-        this.ctx.beginPath();
-        this.ctx.ellipse(0, -r - r * 0.04, r * 0.46, r * 0.1, 0, 0, Math.PI * 2);
-        this.ctx.fill();
-        
-        this.ctx.strokeStyle = 'hsla(0, 18%, 16%, 0.9)';
-        this.ctx.lineWidth = Math.max(0.7, r * 0.03);
-        this.ctx.beginPath();
-        this.ctx.ellipse(0, r, r * 0.88, r * 0.05, 0, 0, Math.PI * 2);
-        this.ctx.stroke();
-        
-        const tasselY = r + r * 0.1;
-        this.ctx.strokeStyle = 'hsla(42, 68%, 50%, 0.88)';
-        this.ctx.lineWidth = Math.max(0.7, r * 0.03);
-        this.ctx.lineCap = 'round';
-        for (let i = 0; i < 3; i++) {
-            const angle = (i - 1) * 0.2 + tilt * 0.3;
-            const len = r * (0.4 + (i % 2) * 0.15);
-            this.ctx.beginPath();
-            this.ctx.moveTo(0, tasselY);
-            this.ctx.lineTo(Math.sin(angle) * len, tasselY + len);
-            this.ctx.stroke();
+        if (this.under >= this.upDelay && level > 0) {
+            this.under = 0;
+            this.sinceRaise = 0;
+            return level - 1;
         }
-        this.ctx.lineCap = 'butt';
-        this.ctx.restore();
+        return level;
     }
+}
+
+// Screensaver trigger: onIdle() runs once there has been no keyboard, pointer or wheel input for `timeout`
+// seconds (0 is off) while the page is visible, and starts the screensaver by returning true. From then on
+// input wakes it (onWake(event)), except during the first `grace` seconds and pointer movement of less than
+// JITTER pixels, so a nudged desk or a settling mouse doesn't end it.
+class IdleWatcher {
+    static JITTER = 16;
+    static EVENTS = ['pointermove', 'pointerdown', 'keydown', 'wheel'];
     
-    render() {
-        this.ctx.fillStyle = '#080810';
-        this.ctx.fillRect(0, 0, this.width, this.height);
-        
-        const drawables = [];
-        this.obstructions.forEach(ob => drawables.push({ depth: ob.depth, ob }));
-        this.lanterns.forEach(lantern => drawables.push({ depth: this.lanternDepth(lantern), lantern }));
-        drawables.sort((a, b) => a.depth - b.depth);
-        
-        drawables.forEach(d => {
-            if (d.ob) this.drawObstruction(d.ob);
-            else {
-                this.drawLanternLightSpill(d.lantern);
-                this.drawOneLantern(d.lantern);
-            }
+    constructor({ timeout = 0, grace = 2, onIdle, onWake }) {
+        this.timeout = timeout;
+        this.grace = grace;
+        this.onIdle = onIdle;
+        this.onWake = onWake;
+        this.active = false;
+        this.activeSince = 0;
+        this.lastInput = performance.now();
+        this.pointer = null;
+        this.anchor = null;
+        this.timer = null;
+        IdleWatcher.EVENTS.forEach(type => document.addEventListener(type, (e) => this.input(e), { capture: true, passive: true }));
+        // Coming back to the page counts as input
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden && !this.active) this.lastInput = performance.now();
+            this.schedule();
         });
+        this.schedule();
     }
     
-    resize(width, height) {
-        super.resize(width, height);
-        this.lanterns = [];
-        this.obstructions = [];
-        this.initLanterns();
-        this.initObstructions();
+    setTimeout(timeout) {
+        this.timeout = Math.max(0, timeout);
+        this.lastInput = performance.now();
+        this.schedule();
     }
-}
-
-// Sunset Visual — zoomed-out view (smaller sun/clouds)
-class SunsetVisual extends BaseVisual {
-    constructor(canvas, ctx) {
-        super(canvas, ctx);
-        this.zoomOut = 0.58;
+    
+    input(e) {
+        const now = performance.now();
+        const moved = e.type === 'pointermove';
+        if (moved) this.pointer = { x: e.clientX, y: e.clientY };
+        if (!this.active) {
+            this.lastInput = now;
+            this.schedule();
+            return;
+        }
+        if (now - this.activeSince < this.grace * 1000) return;
+        if (moved) {
+            // Measured from where the pointer was when the screensaver started (or first seen after that)
+            if (!this.anchor) this.anchor = this.pointer;
+            if (Math.hypot(this.pointer.x - this.anchor.x, this.pointer.y - this.anchor.y) < IdleWatcher.JITTER) return;
+        }
+        this.stop();
+        this.onWake(e);
     }
     
-    render() {
-        const s = this.scale * this.zoomOut;
-        const skyGradient = this.ctx.createLinearGradient(0, 0, 0, this.height);
-        const sunY = this.height * 0.3 + Math.sin(this.time * 0.1) * 50 * s;
-        const sunX = this.width * 0.5;
-        const sunGlowR = 150 * s;
-        const sunDiskR = 80 * s;
-        
-        skyGradient.addColorStop(0, '#1a1a2e');
-        skyGradient.addColorStop(0.3, '#16213e');
-        skyGradient.addColorStop(0.5, '#e94560');
-        skyGradient.addColorStop(0.7, '#ff6b6b');
-        skyGradient.addColorStop(1, '#ffa500');
-        
-        this.ctx.fillStyle = skyGradient;
-        this.ctx.fillRect(0, 0, this.width, this.height);
-        
-        const sunGradient = this.ctx.createRadialGradient(sunX, sunY, 0, sunX, sunY, sunGlowR);
-        sunGradient.addColorStop(0, '#fff8dc');
-        sunGradient.addColorStop(0.5, '#ffd700');
-        sunGradient.addColorStop(0.85, 'rgba(255, 220, 180, 0.25)');
-        sunGradient.addColorStop(1, 'rgba(255, 235, 210, 0)');
-        
-        this.ctx.fillStyle = sunGradient;
-        this.ctx.beginPath();
-        this.ctx.arc(sunX, sunY, sunGlowR, 0, Math.PI * 2);
-        this.ctx.fill();
-        
-        this.ctx.fillStyle = '#ffd700';
-        this.ctx.beginPath();
-        this.ctx.arc(sunX, sunY, sunDiskR, 0, Math.PI * 2);
-        this.ctx.fill();
-        
-        this.drawClouds(s);
-    }
-    
-    drawClouds(s) {
-        const seed = 12345;
-        const hash = (n) => ((n * 92837111) ^ (n >>> 15)) >>> 0;
-        const clouds = 5;
-        for (let i = 0; i < clouds; i++) {
-            const t = this.time * 0.08 * s;
-            const baseX = (t * 120 + (hash(i + seed + 1) % 1000)) % (this.width + 400) - 200;
-            const baseY = this.height * (0.35 + (hash(i + seed + 2) % 40) / 400) + Math.sin(this.time * 0.05 + i) * 8 * s;
-            const blobCount = 4 + (hash(i + seed + 3) % 3);
-            const opacity = 0.2 + (hash(i + seed + 4) % 18) / 100;
-            this.ctx.save();
-            for (let b = 0; b < blobCount; b++) {
-                const bx = baseX + ((hash(i * 7 + b + seed) % 200) - 100) * 0.5 * s;
-                const by = baseY + ((hash(i * 7 + b + seed + 1) % 80) - 40) * 0.7 * s;
-                const br = (22 + (hash(i * 7 + b + seed + 2) % 32)) * s;
-                const g = this.ctx.createRadialGradient(bx, by, 0, bx, by, br);
-                g.addColorStop(0, `rgba(255, 248, 242, ${opacity * 0.9})`);
-                g.addColorStop(0.45, `rgba(255, 238, 225, ${opacity * 0.5})`);
-                g.addColorStop(0.8, `rgba(255, 230, 215, ${opacity * 0.2})`);
-                g.addColorStop(1, 'rgba(255, 235, 220, 0)');
-                this.ctx.fillStyle = g;
-                this.ctx.beginPath();
-                this.ctx.arc(bx, by, br, 0, Math.PI * 2);
-                this.ctx.fill();
-            }
-            this.ctx.restore();
+    // Back to watching for idle time, e.g. when the screensaver was closed some other way (Escape, Exit)
+    stop() {
+        if (!this.active) return;
+        this.active = false;
+        this.lastInput = performance.now();
+        this.schedule();
+    }
+    
+    schedule() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (!this.timeout || this.active || document.hidden) return;
+        const remaining = this.lastInput + this.timeout * 1000 - performance.now();
+        this.timer = setTimeout(() => this.check(), Math.max(0, remaining));
+    }
+    
+    check() {
+        const now = performance.now();
+        if (now - this.lastInput >= this.timeout * 1000 && this.onIdle()) {
+            this.active = true;
+            this.activeSince = now;
+            this.anchor = this.pointer;
+            return;
         }
+        if (now - this.lastInput >= this.timeout * 1000) this.lastInput = now;
+        this.schedule();
     }
 }
 
-// Bloom Visual — reference style: layered petals, soft diffusion, sharp white outlines, mandala-like detail
-class BloomVisual extends BaseVisual {
-    constructor(canvas, ctx) {
-        super(canvas, ctx);
-        this.blooms = [];
-        this.initBlooms();
-    }
-    
-    initBlooms() {
-        const s = this.scale;
-        const w = this.width;
-        const h = this.height;
-        const count = 3;
-        const minSide = Math.min(w, h);
-        const baseSize = minSide * 0.3 * s;
-        const sizeScales = [0.72, 1.15, 0.88];
-        for (let i = 0; i < count; i++) {
-            const tx = count > 1 ? i / (count - 1) : 0.5;
-            const x = w * (0.18 + tx * 0.64);
-            const y = h * 0.5 + (Math.random() - 0.5) * h * 0.08;
-            const nx = x / w;
-            let hue;
-            if (nx < 0.38) hue = 200 + (nx / 0.38) * 20 + (Math.random() - 0.5) * 8;
-            else if (nx < 0.62) hue = 130 + ((nx - 0.38) / 0.24) * 30 + (Math.random() - 0.5) * 10;
-            else hue = 28 + ((nx - 0.62) / 0.38) * 22 + (Math.random() - 0.5) * 8;
-            const r0 = Math.random() * Math.PI * 2;
-            this.blooms.push({
-                x, y,
-                hue: (hue + 360) % 360,
-                sat: 90 + Math.random() * 10,
-                size: baseSize * (sizeScales[i] + (Math.random() - 0.5) * 0.12),
-                rotation: r0,
-                rotationLag: r0,
-                rotationSpeed: 0.001 + (Math.random() - 0.5) * 0.0006,
-                swayPhase: Math.random() * Math.PI * 2,
-                swayTilt: 0,
-                petalPhase: [],
-                translucent: Math.random() < 0.5
+// A clock that reads 'HH:MM' today when created and runs on from there (see BaseVisual.now)
+function clockAt(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    const start = new Date();
+    start.setHours(hours, minutes, 0, 0);
+    const offset = start.getTime() - Date.now();
+    return () => Date.now() + offset;
+}
+
+function formatParam(def, value) {
+    if (typeof value !== 'number') return String(value);
+    const decimals = def.step >= 1 ? 0 : Math.min(3, String(def.step).split('.')[1].length);
+    return value.toFixed(decimals);
+}
+
+// Drives every menu preview from one requestAnimationFrame loop. A preview only advances while its card is
+// on screen, the menu is showing and the tab is visible; the loop stops entirely when none qualify.
+class PreviewScheduler {
+    constructor({ getSpeed, fpsCap = 60 }) {
+        this.getSpeed = getSpeed;
+        this.fpsCap = fpsCap;
+        this.previews = [];
+        this.paused = false;
+        this.frameId = null;
+        this.lastTick = null;
+        this.observer = typeof IntersectionObserver !== 'undefined' ? new IntersectionObserver(entries => {
+            entries.forEach(entry => {
+                const preview = this.previews.find(p => p.canvas === entry.target);
+                if (preview) preview.visible = entry.isIntersecting;
             });
-        }
-        this.blooms.forEach(b => {
-            const totalPetals = 6 + 10;
-            for (let i = 0; i < totalPetals; i++) b.petalPhase.push(Math.random() * Math.PI * 2);
-        });
+            this.sync();
+        }) : null;
+        document.addEventListener('visibilitychange', () => this.sync());
+        window.addEventListener('resize', () => this.previews.forEach(preview => this.fit(preview)));
+    }
+    
+    // A WorkerVisual's canvas belongs to the worker, which sizes and scales it itself
+    add(visual, canvas) {
+        const remote = visual instanceof WorkerVisual;
+        const preview = { visual, canvas, ctx: remote ? null : canvas.getContext('2d'), visible: !this.observer };
+        this.previews.push(preview);
+        this.fit(preview);
+        if (this.observer) this.observer.observe(canvas);
+        this.sync();
     }
     
-    update() {
-        super.update();
-        const t = this.time;
-        const lagFactor = 0.014;
-        this.blooms.forEach(b => {
-            b.rotation += b.rotationSpeed;
-            let d = b.rotation - b.rotationLag;
-            while (d > Math.PI) d -= Math.PI * 2;
-            while (d < -Math.PI) d += Math.PI * 2;
-            b.rotationLag += d * lagFactor;
-            b.swayTilt = 0.06 * Math.sin(t * 0.35 + b.swayPhase) + 0.03 * Math.sin(t * 0.5 + b.swayPhase * 0.7);
-            b.petalPhase.forEach((_, i) => { b.petalPhase[i] += 0.006 + (i % 3) * 0.003; });
+    // Removes every preview and its canvas
+    clear() {
+        this.previews.forEach(({ visual, canvas }) => {
+            if (this.observer) this.observer.unobserve(canvas);
+            if (visual.destroy) visual.destroy();
+            canvas.remove();
         });
+        this.previews = [];
+        this.sync();
     }
     
-    drawPetalLayer(ctx, size, hue, n, inner, t, bloom, strokeW) {
-        const isInner = inner;
-        const sat = bloom.sat != null ? bloom.sat : 78;
-        const len = size * (isInner ? 0.32 : 0.52);
-        const halfW = size * (isInner ? 0.12 : 0.22);
-        const alpha = bloom.translucent ? (isInner ? 0.5 : 0.45) : (isInner ? 0.78 : 0.72);
-        const phaseOffset = isInner ? 0 : 6;
-        
-        for (let i = 0; i < n; i++) {
-            const baseAngle = (Math.PI * 2 / n) * i + (isInner ? Math.PI / n : 0);
-            const flutter = 0.042 * Math.sin(t + bloom.petalPhase[phaseOffset + i]);
-            const angle = baseAngle + flutter;
-            const lenScale = 0.95 + (i % 2) * 0.08;
-            const wScale = 0.92 + (i % 3) * 0.06;
-            const pl = len * lenScale;
-            const pw = halfW * wScale;
-            
-            const tipX = Math.cos(angle) * pl;
-            const tipY = Math.sin(angle) * pl;
-            const cpx = Math.cos(angle) * pl * 0.45 + Math.cos(angle + Math.PI / 2) * pw;
-            const cpy = Math.sin(angle) * pl * 0.45 + Math.sin(angle + Math.PI / 2) * pw;
-            const cpx2 = Math.cos(angle) * pl * 0.45 - Math.cos(angle + Math.PI / 2) * pw;
-            const cpy2 = Math.sin(angle) * pl * 0.45 - Math.sin(angle + Math.PI / 2) * pw;
-            
-            ctx.beginPath();
-            ctx.moveTo(0, 0);
-            ctx.quadraticCurveTo(cpx, cpy, tipX, tipY);
-            ctx.quadraticCurveTo(cpx2, cpy2, 0, 0);
-            ctx.closePath();
-            
-            const grad = ctx.createLinearGradient(0, 0, tipX, tipY);
-            grad.addColorStop(0, `hsla(${hue}, ${sat}%, 58%, ${alpha})`);
-            grad.addColorStop(0.35, `hsla(${hue}, ${sat}%, 65%, ${alpha * 0.92})`);
-            grad.addColorStop(0.7, `hsla(${hue}, ${sat}%, 72%, ${alpha * 0.7})`);
-            grad.addColorStop(1, `hsla(${hue}, ${Math.min(95, sat + 8)}%, 82%, ${alpha * 0.28})`);
-            ctx.fillStyle = grad;
-            ctx.fill();
-            
-            ctx.strokeStyle = 'rgba(255, 255, 255, 0.82)';
-            ctx.lineWidth = strokeW;
-            ctx.stroke();
-            
-            const midX = Math.cos(angle) * pl * 0.5;
-            const midY = Math.sin(angle) * pl * 0.5;
-            ctx.strokeStyle = 'rgba(255, 255, 255, 0.25)';
-            ctx.lineWidth = Math.max(0.5, size * 0.004);
-            ctx.beginPath();
-            ctx.moveTo(0, 0);
-            ctx.lineTo(midX, midY);
-            ctx.stroke();
+    // Backing store matches the displayed size in device pixels, whatever the scene size
+    fit(preview) {
+        const { canvas, visual } = preview;
+        const width = Math.max(1, Math.round((canvas.clientWidth || 280) * (window.devicePixelRatio || 1)));
+        const height = Math.max(1, Math.round(width * visual.height / visual.width));
+        if (preview.ctx) {
+            canvas.width = width;
+            canvas.height = height;
+        } else {
+            visual.resizeCanvas(width, height);
         }
+        this.draw(preview);
     }
     
-    render() {
-        const w = this.width;
-        const h = this.height;
-        const t = this.time;
-        
-        const bg = this.ctx.createLinearGradient(0, 0, w, 0);
-        bg.addColorStop(0, '#f8f6f2');
-        bg.addColorStop(0.3, '#faf8f5');
-        bg.addColorStop(0.5, '#fbf9f6');
-        bg.addColorStop(0.7, '#faf7f3');
-        bg.addColorStop(1, '#f9f5ef');
-        this.ctx.fillStyle = bg;
-        this.ctx.fillRect(0, 0, w, h);
-        
-        for (let i = 0; i < 18; i++) {
-            const gx = (i * 137) % w;
-            const gy = (i * 89) % h;
-            const spot = this.ctx.createRadialGradient(gx, gy, 0, gx, gy, 100);
-            spot.addColorStop(0, 'rgba(255, 252, 248, 0.12)');
-            spot.addColorStop(1, 'transparent');
-            this.ctx.fillStyle = spot;
-            this.ctx.fillRect(gx - 100, gy - 100, 200, 200);
+    draw({ visual }) {
+        drawVisual(visual);
+    }
+    
+    setFpsCap(fps) {
+        this.fpsCap = Math.max(1, fps);
+    }
+    
+    pause() {
+        this.paused = true;
+        this.sync();
+    }
+    
+    resume() {
+        this.paused = false;
+        this.sync();
+    }
+    
+    get running() {
+        return !this.paused && !document.hidden && this.previews.some(p => p.visible);
+    }
+    
+    sync() {
+        if (this.running && this.frameId === null) {
+            this.frameId = requestAnimationFrame(now => this.tick(now));
+        } else if (!this.running && this.frameId !== null) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+            this.lastTick = null;
         }
-        
-        this.blooms.forEach(bloom => {
-            const size = bloom.size;
-            const hue = bloom.hue;
-            const sat = bloom.sat != null ? bloom.sat : 78;
-            const strokeW = Math.max(1, size * 0.014);
-            
-            this.ctx.save();
-            this.ctx.translate(bloom.x, bloom.y);
-            this.ctx.rotate(bloom.rotation);
-            this.ctx.rotate(bloom.swayTilt);
-            
-            const glow = this.ctx.createRadialGradient(0, 0, 0, 0, 0, size * 1.4);
-            glow.addColorStop(0, `hsla(${hue}, ${sat}%, 75%, 0.18)`);
-            glow.addColorStop(0.6, `hsla(${hue}, ${sat}%, 70%, 0.06)`);
-            glow.addColorStop(1, 'transparent');
-            this.ctx.fillStyle = glow;
-            this.ctx.beginPath();
-            this.ctx.arc(0, 0, size * 1.35, 0, Math.PI * 2);
-            this.ctx.fill();
-            
-            let petalLag = bloom.rotationLag - bloom.rotation;
-            while (petalLag > Math.PI) petalLag -= Math.PI * 2;
-            while (petalLag < -Math.PI) petalLag += Math.PI * 2;
-            this.ctx.rotate(petalLag);
-            this.drawPetalLayer(this.ctx, size, hue, 6, true, t, bloom, strokeW * 0.85);
-            this.drawPetalLayer(this.ctx, size, hue, 10, false, t, bloom, strokeW);
-            this.ctx.rotate(-petalLag);
-            
-            const centerR = size * 0.16;
-            const centerGrad = this.ctx.createRadialGradient(0, 0, 0, 0, 0, centerR);
-            centerGrad.addColorStop(0, `hsl(${hue}, ${sat}%, 36%)`);
-            centerGrad.addColorStop(0.7, `hsl(${hue}, ${sat}%, 26%)`);
-            centerGrad.addColorStop(1, `hsl(${hue}, ${sat}%, 18%)`);
-            this.ctx.fillStyle = centerGrad;
-            this.ctx.beginPath();
-            this.ctx.arc(0, 0, centerR, 0, Math.PI * 2);
-            this.ctx.fill();
-            
-            const rayCount = 28;
-            this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.7)';
-            this.ctx.lineWidth = Math.max(0.6, size * 0.005);
-            for (let i = 0; i < rayCount; i++) {
-                const a = (i / rayCount) * Math.PI * 2;
-                this.ctx.beginPath();
-                this.ctx.moveTo(Math.cos(a) * centerR * 0.25, Math.sin(a) * centerR * 0.25);
-                this.ctx.lineTo(Math.cos(a) * centerR, Math.sin(a) * centerR);
-                this.ctx.stroke();
-            }
-            
-            this.ctx.restore();
-        });
     }
     
-    resize(width, height) {
-        super.resize(width, height);
-        this.blooms = [];
-        this.initBlooms();
+    tick(now) {
+        this.frameId = null;
+        // 1 ms of slack so a 60 Hz display isn't skipped down to 30 fps by timestamp jitter
+        if (this.lastTick === null || now - this.lastTick >= 1000 / this.fpsCap - 1) {
+            const dt = this.lastTick === null ? 0 : Math.min(MAX_FRAME_DT, (now - this.lastTick) / 1000);
+            this.lastTick = now;
+            this.previews.forEach(preview => {
+                if (!preview.visible) return;
+                stepVisual(preview.visual, dt * this.getSpeed());
+                this.draw(preview);
+            });
+        }
+        this.sync();
     }
 }
 
-// Streets Visual — warm line-art street: sidewalks, establishments (shop fronts, awnings), road, gate, cars
-class StreetsVisual extends BaseVisual {
-    constructor(canvas, ctx) {
-        super(canvas, ctx);
-        this.cars = [];
-        this.initCars();
-    }
-    
-    initCars() {
-        for (let i = 0; i < 5; i++) {
-            this.cars.push({
-                depth: 0.15 + (i / 5) * 0.7,
-                phase: (i / 5) * 2,
-                rightward: i % 2 === 0
-            });
-        }
+// Owns render-worker.js. start() resolves to null where workers or OffscreenCanvas are unsupported or the
+// worker script can't load (e.g. index.html opened from file://); the app then renders on the main thread.
+class WorkerRenderer {
+    static get supported() {
+        return typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined' &&
+            'transferControlToOffscreen' in HTMLCanvasElement.prototype;
     }
     
-    update() {
-        super.update();
-        const speed = 0.00045;
-        this.cars.forEach(c => {
-            c.phase += c.rightward ? speed : -speed;
-            if (c.phase > 2) c.phase -= 2;
-            if (c.phase < 0) c.phase += 2;
+    static start(url = 'render-worker.js') {
+        if (!WorkerRenderer.supported) return Promise.resolve(null);
+        return new Promise(resolve => {
+            let worker;
+            try {
+                worker = new Worker(url);
+            } catch (e) {
+                console.log('Render worker not available:', e);
+                resolve(null);
+                return;
+            }
+            const fail = (reason) => {
+                console.log('Render worker not available:', reason);
+                clearTimeout(timer);
+                worker.terminate();
+                resolve(null);
+            };
+            const timer = setTimeout(() => fail('no response'), 5000);
+            worker.onerror = (e) => fail(e.message);
+            worker.onmessage = (e) => {
+                if (e.data.type !== 'ready') return;
+                clearTimeout(timer);
+                resolve(new WorkerRenderer(worker, e.data.visuals));
+            };
         });
     }
     
-    render() {
-        const w = this.width;
-        const h = this.height;
-        const vpX = w * 0.5;
-        const vpY = h * 0.32;
-        const horizon = vpY + 30;
-        
-        const yToT = (y) => Math.min(1, Math.max(0, (y - vpY) / (h - vpY)));
-        const project = (xNorm, y) => vpX + (xNorm * w - vpX) * yToT(y);
-        
-        const roadLeft = 0.22;
-        const roadRight = 0.78;
-        const sidewalkLeft = 0.08;
-        const sidewalkRight = 0.92;
-        const roadY1 = h;
-        
-        this.ctx.fillStyle = '#f8f6f2';
-        this.ctx.fillRect(0, 0, w, h);
-        
-        this.ctx.strokeStyle = '#1a1a1a';
-        this.ctx.lineWidth = 1.4;
-        this.ctx.lineCap = 'round';
-        this.ctx.lineJoin = 'round';
-        
-        this.ctx.fillStyle = 'rgba(232, 228, 220, 0.6)';
-        this.ctx.beginPath();
-        this.ctx.moveTo(project(0, roadY1), roadY1);
-        this.ctx.lineTo(project(0, 0), 0);
-        this.ctx.lineTo(project(sidewalkLeft, 0), 0);
-        this.ctx.lineTo(project(roadLeft, horizon), horizon);
-        this.ctx.lineTo(project(roadLeft, roadY1), roadY1);
-        this.ctx.closePath();
-        this.ctx.fill();
-        this.ctx.stroke();
-        this.ctx.beginPath();
-        this.ctx.moveTo(project(roadRight, roadY1), roadY1);
-        this.ctx.lineTo(project(roadRight, horizon), horizon);
-        this.ctx.lineTo(project(sidewalkRight, 0), 0);
-        this.ctx.lineTo(w, 0);
-        this.ctx.lineTo(project(1, roadY1), roadY1);
-        this.ctx.closePath();
-        this.ctx.fill();
-        this.ctx.stroke();
-        
-        this.ctx.beginPath();
-        this.ctx.moveTo(project(roadLeft, roadY1), roadY1);
-        this.ctx.lineTo(project(roadLeft, horizon), horizon);
-        this.ctx.lineTo(vpX, vpY);
-        this.ctx.lineTo(project(roadRight, horizon), horizon);
-        this.ctx.lineTo(project(roadRight, roadY1), roadY1);
-        this.ctx.closePath();
-        this.ctx.stroke();
-        this.ctx.fillStyle = 'rgba(228, 222, 212, 0.5)';
-        this.ctx.fill();
-        this.ctx.stroke();
-        
-        for (let y = roadY1 - 30; y > horizon; y -= 40) {
-            const t = yToT(y);
-            const segW = 16 * (1 - t * 0.75);
-            const cx = project(0.5, y);
-            this.ctx.strokeStyle = '#8a8478';
-            this.ctx.lineWidth = 1;
-            this.ctx.strokeRect(cx - segW / 2, y - 3, segW, 6);
-            this.ctx.strokeStyle = '#1a1a1a';
-            this.ctx.lineWidth = 1.4;
+    constructor(worker, visualTypes) {
+        this.worker = worker;
+        this.visualTypes = visualTypes;
+        this.visuals = new Map();
+        this.nextId = 1;
+        worker.onmessage = (e) => this.handleMessage(e.data);
+        worker.onerror = (e) => console.error('Render worker error:', e.message);
+    }
+    
+    // Only visuals registered by visuals.js exist in the worker; runtime-loaded ones render on the main thread
+    canRender(type) {
+        return this.visualTypes.includes(type);
+    }
+    
+    createVisual(canvas, type, options) {
+        const visual = new WorkerVisual(this, this.nextId++, canvas, type, options);
+        this.visuals.set(visual.id, visual);
+        return visual;
+    }
+    
+    post(message, transfer = []) {
+        this.worker.postMessage(message, transfer);
+    }
+    
+    handleMessage(message) {
+        const visual = this.visuals.get(message.id);
+        if (message.type === 'rendered') {
+            if (visual) visual.rendered();
+        } else if (message.type === 'snapshot') {
+            if (visual) visual.snapshotTaken(message.blob);
+        } else if (message.type === 'error') {
+            console.error(`Render worker: ${message.message}`);
+            if (visual) visual.snapshotTaken(null, new Error(message.message));
         }
+    }
+    
+    release(visual) {
+        this.visuals.delete(visual.id);
+        this.post({ type: 'destroy', id: visual.id });
+    }
+    
+    terminate() {
+        this.worker.terminate();
+        this.visuals.clear();
+    }
+}
+
+// Main-thread stand-in for a visual rendered in the worker. It keeps its own seed and params for the UI and
+// forwards everything else. update() only accumulates time and render() asks the worker for a frame; with at
+// most one frame in flight, a slow scene drops frames instead of queueing them.
+class WorkerVisual {
+    constructor(renderer, id, canvas, type, options = {}) {
+        this.renderer = renderer;
+        this.id = id;
+        this.visualClass = VISUALS[type];
+        this.viewport = options.viewport || null;
+        this.width = options.width || canvas.width;
+        this.height = options.height || canvas.height;
+        this.seed = options.seed != null ? normalizeSeed(options.seed) : randomSeed();
+        this.params = resolveParams(this.visualClass.params, options.params);
+        this.qualityLevel = 0;
+        this.quality = resolveQuality(this.visualClass.qualityLevels, 0);
+        this.frameStats = new FrameStats();
+        this.time = 0;
+        this.pendingDt = 0;
+        this.audio = null;
+        this.pointers = [];
+        this.pendingSnapshots = [];
+        this.busy = false;
+        this.dirty = false;
         
-        const drawEstablishment = (xStart, widthNorm, topNorm, floors, hasAwning, hasDoor) => {
-            const x0 = xStart;
-            const x1 = xStart + widthNorm;
-            const y0 = 0;
-            const y1 = h * (1 - topNorm);
-            const groundY = y1 + (y0 - y1) * 0.22;
-            this.ctx.fillStyle = 'rgba(240, 236, 228, 0.7)';
-            this.ctx.beginPath();
-            this.ctx.moveTo(project(x0, y1), y1);
-            this.ctx.lineTo(project(x0, y0), y0);
-            this.ctx.lineTo(project(x1, y0), y0);
-            this.ctx.lineTo(project(x1, y1), y1);
-            this.ctx.closePath();
-            this.ctx.fill();
-            this.ctx.stroke();
-            if (hasAwning) {
-                this.ctx.beginPath();
-                this.ctx.moveTo(project(x0, groundY), groundY);
-                this.ctx.lineTo(project(x0, groundY - 18), groundY - 18);
-                this.ctx.lineTo(project(x1, groundY - 18), groundY - 18);
-                this.ctx.lineTo(project(x1, groundY), groundY);
-                this.ctx.closePath();
-                this.ctx.stroke();
-            }
-            if (hasDoor) {
-                const dx = (x0 + x1) / 2;
-                this.ctx.beginPath();
-                this.ctx.moveTo(project(dx - 0.008, groundY), groundY);
-                this.ctx.lineTo(project(dx - 0.008, y1), y1);
-                this.ctx.lineTo(project(dx + 0.008, y1), y1);
-                this.ctx.lineTo(project(dx + 0.008, groundY), groundY);
-                this.ctx.closePath();
-                this.ctx.stroke();
-            }
-            for (let f = 1; f < floors; f++) {
-                const fy = y1 + (y0 - y1) * (f / floors);
-                this.ctx.beginPath();
-                this.ctx.moveTo(project(x0, fy), fy);
-                this.ctx.lineTo(project(x1, fy), fy);
-                this.ctx.stroke();
+        const offscreen = canvas.transferControlToOffscreen();
+        renderer.post({
+            type: 'create',
+            id,
+            canvas: offscreen,
+            visual: type,
+            options: {
+                width: this.width,
+                height: this.height,
+                seed: this.seed,
+                params: this.params,
+                palette: workerPalette(options.palette),
+                // functions can't be posted, so an injected clock travels as its offset from the real one
+                clockOffset: options.clock ? +options.clock() - Date.now() : 0
             }
-            const cols = 3;
-            for (let c = 1; c < cols; c++) {
-                const xNorm = x0 + (x1 - x0) * (c / cols);
-                this.ctx.beginPath();
-                this.ctx.moveTo(project(xNorm, y0), y0);
-                this.ctx.lineTo(project(xNorm, y1), y1);
-                this.ctx.stroke();
-            }
-            for (let f = 1; f < floors; f++) {
-                for (let c = 0; c < cols; c++) {
-                    const fx = x0 + (x1 - x0) * (c + 0.5) / cols;
-                    const fy = y1 + (y0 - y1) * (f + 0.5) / floors;
-                    const wx = (project(fx + 0.012, fy) - project(fx - 0.012, fy)) * 0.9;
-                    const wy = 8;
-                    this.ctx.strokeRect(project(fx, fy) - wx / 2, fy - wy / 2, Math.abs(wx), wy);
-                }
-            }
-        };
-        drawEstablishment(0, 0.07, 0.68, 5, true, true);
-        drawEstablishment(0.07, 0.08, 0.52, 6, true, false);
-        drawEstablishment(0.15, 0.05, 0.72, 4, false, true);
-        drawEstablishment(0.88, 0.06, 0.62, 5, true, true);
-        drawEstablishment(0.94, 0.06, 0.48, 6, true, false);
-        
-        const gateY = h * 0.48;
-        const gateH = h * 0.2;
-        const gateW = w * 0.45;
-        const gx = vpX - gateW / 2;
-        this.ctx.beginPath();
-        this.ctx.moveTo(gx, gateY + gateH);
-        this.ctx.lineTo(gx + gateW * 0.1, gateY + gateH * 0.4);
-        this.ctx.lineTo(gx + gateW * 0.5, gateY + gateH * 0.02);
-        this.ctx.lineTo(gx + gateW * 0.9, gateY + gateH * 0.4);
-        this.ctx.lineTo(gx + gateW, gateY + gateH);
-        this.ctx.stroke();
-        this.ctx.beginPath();
-        this.ctx.moveTo(gx + gateW * 0.5, gateY + gateH * 0.02);
-        this.ctx.lineTo(gx + gateW * 0.5, gateY + gateH);
-        this.ctx.stroke();
-        this.ctx.beginPath();
-        this.ctx.arc(gx + gateW * 0.5, gateY + gateH * 0.52, gateW * 0.06, 0, Math.PI * 2);
-        this.ctx.stroke();
-        [[0.04, 0.08], [0.18, 0.12], [0.35, 0.15]].forEach(([ty, th]) => {
-            this.ctx.beginPath();
-            this.ctx.moveTo(gx + gateW * 0.1, gateY + gateH * ty);
-            this.ctx.quadraticCurveTo(gx + gateW * 0.5, gateY + gateH * (ty - 0.03), gx + gateW * 0.9, gateY + gateH * ty);
-            this.ctx.lineTo(gx + gateW * 0.9, gateY + gateH * (ty + th));
-            this.ctx.quadraticCurveTo(gx + gateW * 0.5, gateY + gateH * (ty + th + 0.015), gx + gateW * 0.1, gateY + gateH * (ty + th));
-            this.ctx.closePath();
-            this.ctx.stroke();
-        });
-        this.ctx.strokeRect(gx + gateW * 0.2, gateY - 20, gateW * 0.6, gateH * 0.5);
-        for (let r = 1; r < 3; r++) {
-            this.ctx.beginPath();
-            this.ctx.moveTo(gx + gateW * 0.2, gateY - 20 + (gateH * 0.5 * r) / 3);
-            this.ctx.lineTo(gx + gateW * 0.8, gateY - 20 + (gateH * 0.5 * r) / 3);
-            this.ctx.stroke();
+        }, [offscreen]);
+    }
+    
+    update(dt) {
+        this.time += dt;
+        this.pendingDt += dt;
+    }
+    
+    render() {
+        if (this.busy) {
+            this.dirty = true;
+            return;
         }
-        for (let c = 1; c < 4; c++) {
-            const cx = gx + gateW * 0.2 + (gateW * 0.6 * c) / 4;
-            this.ctx.beginPath();
-            this.ctx.moveTo(cx, gateY - 20);
-            this.ctx.lineTo(cx, gateY - 20 + gateH * 0.5);
-            this.ctx.stroke();
+        this.busy = true;
+        this.posted = performance.now();
+        this.renderer.post({ type: 'frame', id: this.id, dt: this.pendingDt, viewport: this.viewport, audio: this.audio, pointers: this.pointers });
+        this.pendingDt = 0;
+    }
+    
+    rendered() {
+        this.frameStats.record(performance.now(), performance.now() - this.posted);
+        this.busy = false;
+        if (this.dirty) {
+            this.dirty = false;
+            this.render();
         }
-        
-        this.cars.forEach(car => {
-            const t = car.depth;
-            const y = vpY + (h - vpY) * t;
-            const scale = 1 - t * 0.88;
-            const carW = 72 * scale;
-            const carH = 28 * scale;
-            const xNorm = roadLeft + (roadRight - roadLeft) * (0.15 + car.phase * 0.7);
-            const x = project(xNorm, y) - carW / 2;
-            this.ctx.strokeRect(x, y - carH, carW, carH);
-            this.ctx.beginPath();
-            this.ctx.moveTo(x + carW * 0.22, y - carH);
-            this.ctx.lineTo(x + carW * 0.22, y);
-            this.ctx.moveTo(x + carW * 0.78, y - carH);
-            this.ctx.lineTo(x + carW * 0.78, y);
-            this.ctx.stroke();
-        });
     }
     
     resize(width, height) {
-        super.resize(width, height);
+        this.width = width;
+        this.height = height;
+        this.renderer.post({ type: 'resize', id: this.id, width, height });
+    }
+    
+    // The backing store lives in the worker; the scene keeps its size
+    resizeCanvas(canvasWidth, canvasHeight) {
+        this.renderer.post({ type: 'resize', id: this.id, canvasWidth, canvasHeight });
+    }
+    
+    setParam(key, value) {
+        const def = this.visualClass.params[key];
+        if (!def) return;
+        this.params[key] = coerceParam(def, value);
+        this.renderer.post({ type: 'setParam', id: this.id, key, value: this.params[key] });
+    }
+    
+    setPalette(palette) {
+        this.renderer.post({ type: 'setPalette', id: this.id, palette: workerPalette(palette) });
+    }
+    
+    setQualityLevel(level) {
+        const levels = this.visualClass.qualityLevels;
+        this.qualityLevel = Math.max(0, Math.min(levels.length - 1, level));
+        this.quality = resolveQuality(levels, this.qualityLevel);
+        this.renderer.post({ type: 'setQuality', id: this.id, level: this.qualityLevel });
+    }
+    
+    // The last frame drawn, as a PNG blob (only the worker can read its canvas)
+    snapshot() {
+        return new Promise((resolve, reject) => {
+            this.pendingSnapshots.push({ resolve, reject });
+            this.renderer.post({ type: 'snapshot', id: this.id });
+        });
+    }
+    
+    snapshotTaken(blob, error) {
+        const pending = this.pendingSnapshots.shift();
+        if (!pending) return;
+        if (error) pending.reject(error);
+        else pending.resolve(blob);
+    }
+    
+    // Audio features and pointers go along with the next frame
+    setAudio(features) {
+        this.audio = features;
+    }
+    
+    setPointers(pointers) {
+        this.pointers = pointers;
+    }
+    
+    destroy() {
+        this.renderer.release(this);
     }
 }
 
-// Urbanity Visual
-class UrbanityVisual extends BaseVisual {
-    constructor(canvas, ctx) {
-        super(canvas, ctx);
-        this.buildings = [];
-        this.lights = [];
-        this.initBuildings();
-    }
-    
-    initBuildings() {
-        let x = 0;
-        while (x < this.width + 100) {
-            const width = 40 + Math.random() * 80;
-            const height = 100 + Math.random() * (this.height * 0.7);
-            this.buildings.push({
-                x: x,
-                width: width,
-                height: height,
-                color: `hsl(200, 30%, ${10 + Math.random() * 20}%)`
-            });
-            
-            const windows = Math.floor(height / 30);
-            for (let i = 0; i < windows; i++) {
-                if (Math.random() > 0.3) {
-                    this.lights.push({
-                        x: x + width / 2,
-                        y: this.height - height + i * 30 + 15,
-                        buildingX: x,
-                        buildingWidth: width,
-                        on: Math.random() > 0.5,
-                        flicker: Math.random() * Math.PI * 2
-                    });
-                }
-            }
-            
-            x += width + 5;
+// Audio source for audio-reactive mode: analyses what an <audio> element or a MediaStream (microphone, line-in,
+// a captured tab) plays, through a Web Audio AnalyserNode. Elements are also routed on to the speakers.
+class AudioInput {
+    constructor(input) {
+        this.context = new AudioContext();
+        this.analyser = this.context.createAnalyser();
+        this.analyser.fftSize = 2048;
+        // AudioAnalysis smooths the bands itself, and onsets need the raw jumps
+        this.analyser.smoothingTimeConstant = 0;
+        this.spectrum = new Uint8Array(this.analyser.frequencyBinCount);
+        this.analysis = new AudioAnalysis({ sampleRate: this.context.sampleRate });
+        if (input instanceof MediaStream) {
+            this.source = this.context.createMediaStreamSource(input);
+        } else {
+            this.element = input;
+            this.source = this.context.createMediaElementSource(input);
+            this.analyser.connect(this.context.destination);
         }
+        this.source.connect(this.analyser);
     }
     
-    update() {
-        super.update();
-        this.lights.forEach(light => {
-            light.flicker += 0.1;
-            if (Math.random() < 0.001) {
-                light.on = !light.on;
-            }
-        });
+    static fromFile(file) {
+        const element = new Audio(URL.createObjectURL(file));
+        element.loop = true;
+        return new AudioInput(element);
     }
     
-    render() {
-        // Night sky
-        const skyGradient = this.ctx.createLinearGradient(0, 0, 0, this.height);
-        skyGradient.addColorStop(0, '#0a0a1a');
-        skyGradient.addColorStop(1, '#1a1a2e');
-        this.ctx.fillStyle = skyGradient;
-        this.ctx.fillRect(0, 0, this.width, this.height);
-        
-        // Stars
-        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
-        for (let i = 0; i < 100; i++) {
-            const x = (i * 37) % this.width;
-            const y = (i * 73) % (this.height * 0.5);
-            const twinkle = Math.sin(this.time * 2 + i) * 0.5 + 0.5;
-            this.ctx.globalAlpha = twinkle * 0.8;
-            this.ctx.fillRect(x, y, 1, 1);
+    // Has to follow a user gesture (the file pick), or the browser keeps the audio context suspended
+    async play() {
+        await this.context.resume();
+        if (this.element) await this.element.play();
+    }
+    
+    read(dt) {
+        this.analyser.getByteFrequencyData(this.spectrum);
+        return this.analysis.analyse(this.spectrum, dt);
+    }
+    
+    close() {
+        if (this.element) {
+            this.element.pause();
+            URL.revokeObjectURL(this.element.src);
         }
-        this.ctx.globalAlpha = 1;
-        
-        // Buildings
-        this.buildings.forEach(building => {
-            this.ctx.fillStyle = building.color;
-            this.ctx.fillRect(
-                building.x,
-                this.height - building.height,
-                building.width,
-                building.height
-            );
-        });
-        
-        this.lights.forEach(light => {
-            if (light.on) {
-                const brightness = 0.5 + Math.sin(light.flicker) * 0.3;
-                this.ctx.fillStyle = `rgba(255, 220, 100, ${brightness})`;
-                this.ctx.fillRect(light.x - 3, light.y - 3, 6, 6);
-                
-                const glowGradient = this.ctx.createRadialGradient(light.x, light.y, 0, light.x, light.y, 10);
-                glowGradient.addColorStop(0, `rgba(255, 220, 100, ${brightness * 0.3})`);
-                glowGradient.addColorStop(1, 'transparent');
-                this.ctx.fillStyle = glowGradient;
-                this.ctx.fillRect(light.x - 10, light.y - 10, 20, 20);
-            }
-        });
+        this.context.close();
     }
+}
+
+// Custom palettes only exist on the main thread, so the worker gets the resolved palette instead of its id
+function workerPalette(palette) {
+    return typeof palette === 'string' && palette !== 'original' ? PALETTES[palette] : palette;
+}
+
+// The class behind a visual, whether it renders here or in the worker
+function visualClassOf(visual) {
+    return visual.visualClass || visual.constructor;
+}
+
+// Preferences kept in localStorage (which may be unavailable, e.g. in private windows)
+function loadSetting(key, fallback) {
+    try {
+        const value = JSON.parse(localStorage.getItem(key));
+        return value != null ? value : fallback;
+    } catch (e) {
+        return fallback;
+    }
+}
+
+function saveSetting(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+    } catch (e) {
+        console.log(`Could not save ${key}:`, e);
+    }
+}
+
+// Route keys the app owns; any other key in the hash is treated as a visual parameter
+const ROUTE_KEYS = ['visual', 'seed', 'palette', 'speed', 'interactive', 'fullscreen', 'scene', 'viewport', 'at'];
+
+function parseRoute(hash) {
+    const query = new URLSearchParams(hash.replace(/^#/, ''));
+    const route = { params: {} };
+    query.forEach((value, key) => {
+        if (!ROUTE_KEYS.includes(key)) route.params[key] = value;
+    });
+    if (query.has('visual')) route.visual = query.get('visual');
+    if (query.has('seed')) route.seed = query.get('seed');
+    if (query.has('palette')) route.palette = query.get('palette');
+    if (query.has('speed')) route.speed = parseFloat(query.get('speed'));
+    if (/^([01]?\d|2[0-3]):[0-5]\d$/.test(query.get('at'))) route.at = query.get('at');
+    route.interactive = ['1', 'true'].includes(query.get('interactive'));
+    route.fullscreen = ['1', 'true'].includes(query.get('fullscreen'));
     
-    resize(width, height) {
-        super.resize(width, height);
-        this.buildings = [];
-        this.lights = [];
-        this.initBuildings();
+    // scene=WIDTHxHEIGHT&viewport=X,Y,WIDTH,HEIGHT; ignored unless both are well-formed
+    const scene = /^(\d+)x(\d+)$/.exec(query.get('scene') || '');
+    const viewport = (query.get('viewport') || '').split(',').map(Number);
+    if (scene && viewport.length === 4 && viewport.every(Number.isFinite) && viewport[2] > 0 && viewport[3] > 0) {
+        const [x, y, width, height] = viewport;
+        route.span = {
+            scene: { width: parseInt(scene[1], 10), height: parseInt(scene[2], 10) },
+            viewport: { x, y, width, height }
+        };
     }
+    return route;
+}
+
+function formatRoute({ visual, seed, palette, speed, interactive, fullscreen, span, at, params = {} }) {
+    const query = new URLSearchParams();
+    if (visual) query.set('visual', visual);
+    if (seed != null) query.set('seed', seed);
+    if (palette) query.set('palette', palette);
+    if (speed != null) query.set('speed', speed);
+    Object.entries(params).forEach(([key, value]) => query.set(key, value));
+    if (span) {
+        const { x, y, width, height } = span.viewport;
+        query.set('scene', `${span.scene.width}x${span.scene.height}`);
+        query.set('viewport', [x, y, width, height].join(','));
+    }
+    if (at) query.set('at', at);
+    if (interactive) query.set('interactive', '1');
+    if (fullscreen) query.set('fullscreen', '1');
+    // Commas and colons are fine in a fragment; leaving them unescaped keeps viewport and at readable
+    return query.toString().replace(/%2C|%3A/g, decodeURIComponent);
+}
+
+// Custom palettes are kept as their definitions and re-registered with definePalette() on load
+const CUSTOM_PALETTES_KEY = 'customPalettes';
+const NEW_PALETTE_OPTION = '__new';
+
+function loadCustomPalettes() {
+    return loadSetting(CUSTOM_PALETTES_KEY, []);
+}
+
+function saveCustomPalette(def) {
+    const saved = loadCustomPalettes().filter(p => p.id !== def.id);
+    saveSetting(CUSTOM_PALETTES_KEY, [...saved, def]);
+}
+
+// Full-screen keyboard shortcuts, by KeyboardEvent.key (letters lowercased)
+const SHORTCUTS = {
+    ArrowRight: 'next',
+    n: 'next',
+    ArrowLeft: 'previous',
+    p: 'previous',
+    ' ': 'pause',
+    '.': 'step',
+    r: 'reseed',
+    s: 'screenshot',
+    h: 'hud'
+};
+
+// Seconds the full-screen controls and HUD stay up after the last input
+const CONTROLS_TIMEOUT = 3;
+
+// Longest real-time gap one animation frame may cover, so a backgrounded tab doesn't jump ahead on return
+const MAX_FRAME_DT = 0.1;
+
+// Largest fullscreen backing store (8K UHD); higher render scales are reduced to fit
+const MAX_CANVAS_PIXELS = 7680 * 4320;
+
+const EXPORT_FORMATS = {
+    png: { mime: 'image/png', extension: 'png', lossy: false },
+    jpeg: { mime: 'image/jpeg', extension: 'jpg', lossy: true },
+    webp: { mime: 'image/webp', extension: 'webp', lossy: true },
+    svg: { mime: 'image/svg+xml', extension: 'svg', lossy: false }
+};
+
+function canvasToBlob(canvas, mime, quality) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => {
+            if (blob) resolve(blob);
+            else reject(new Error(`${canvas.width}×${canvas.height} ${mime} could not be encoded (canvas too large?)`));
+        }, mime, quality);
+    });
+}
+
+// MediaRecorder stamps frames with wall-clock time, so it is paused while each frame renders and only
+// runs for exactly one frame interval after the frame is pushed — output timing stays at `fps` regardless
+async function recordWebM(canvas, frames, fps) {
+    if (!canvas.captureStream || typeof MediaRecorder === 'undefined') {
+        throw new Error('WebM recording is not supported in this browser');
+    }
+    const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+        .find(type => MediaRecorder.isTypeSupported(type));
+    const stream = canvas.captureStream(0);
+    const track = stream.getVideoTracks()[0];
+    const pixels = canvas.width * canvas.height;
+    const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: Math.round(pixels * fps * 0.15) });
+    const chunks = [];
+    recorder.ondataavailable = (e) => {
+        if (e.data.size) chunks.push(e.data);
+    };
+    const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+    const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+    
+    recorder.start();
+    recorder.pause();
+    try {
+        for await (const _ of frames) {
+            recorder.resume();
+            track.requestFrame();
+            await wait(1000 / fps);
+            recorder.pause();
+        }
+    } finally {
+        recorder.stop();
+        track.stop();
+        await stopped;
+    }
+    return new Blob(chunks, { type: 'video/webm' });
+}
+
+// Minimal store-only (uncompressed) zip writer — PNGs are already compressed
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(data) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < data.length; i++) crc = CRC_TABLE[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function createZip(files) {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    const parts = [];
+    const central = [];
+    let offset = 0;
+    
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const crc = crc32(file.data);
+        const size = file.data.length;
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(10, dosTime, true);
+        local.setUint16(12, dosDate, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, size, true);
+        local.setUint32(22, size, true);
+        local.setUint16(26, name.length, true);
+        parts.push(local, name, file.data);
+        
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014b50, true);
+        entry.setUint16(4, 20, true);
+        entry.setUint16(6, 20, true);
+        entry.setUint16(12, dosTime, true);
+        entry.setUint16(14, dosDate, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, size, true);
+        entry.setUint32(24, size, true);
+        entry.setUint16(28, name.length, true);
+        entry.setUint32(42, offset, true);
+        central.push(entry, name);
+        offset += 30 + name.length + size;
+    });
+    
+    const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+    return new Blob([...parts, ...central, end], { type: 'application/zip' });
 }
 
 // Initialize app
 document.addEventListener('DOMContentLoaded', () => {
-    new VisualScreensaver();
+    window.screensaver = new VisualScreensaver();
 });
 
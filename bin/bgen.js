@@ -0,0 +1,378 @@
+#!/usr/bin/env node
+// bgen — render backgrounds headlessly with the same visual classes the browser uses.
+//
+//   bgen render --visual sunset --size 2560x1440 --seed 42 --time 12.5 --out sunset.png
+//   bgen render --visual sunset,bloom --size 1920x1080,1170x2532 --seed 7 --out "out/{visual}-{size}.webp"
+//   bgen render --visual bloom --size 1920x1080 --param count=5 --param spin=0 --out bloom.png
+//   bgen render --visual lanterns --size 1920x1080 --palette dusk --out lanterns-dusk.png
+//   bgen render --module ./rain.js --visual rain --size 1920x1080 --out rain.png
+//   bgen render --visual streets --size 5760x1080 --split 3x1 --seed 3 --out "wall-{col}.png"
+//   bgen render --visual bloom --size 20000x12000 --tile 4096 --out print.png
+//   bgen render --visual sunset --size 1920x1080 --param liveTime=1 --at 2024-06-21T20:45 --out solstice.png
+//   bgen render --visual bloom --size iphone,video-call --out "{visual}-{size}.png"
+//   bgen render --visual streets --size 1920x1080 --seed 3 --out streets.svg
+//   bgen list
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { parseArgs } = require('util');
+const { createCanvas } = require('@napi-rs/canvas');
+const VisualsAPI = require('../visuals.js');
+const { VISUALS, VISUAL_DEFINITIONS, PALETTES, SIZE_PRESETS, normalizeSeed, randomSeed, renderStill, renderTiles, renderSvg, normalizePalette } = VisualsAPI;
+
+// Larger PNGs are stitched from tiles (see --tile) rather than drawn on one canvas
+const MAX_CANVAS_SIDE = 16384;
+const DEFAULT_TILE = 2048;
+
+const USAGE = `Usage:
+  bgen render --visual <id>[,<id>...] --size <WxH>[,<WxH>...] [options]
+  bgen list
+  bgen palettes
+  bgen sizes
+  bgen params <visual>
+
+Every command accepts --module <file> (repeatable) to load third-party visuals first.
+
+Render options:
+  -v, --visual   visual id; repeat or comma-separate to render several
+  -s, --size     output size as WIDTHxHEIGHT or a device preset (see "bgen sizes"); repeat or
+                 comma-separate. Presets also keep focal elements clear of the device's overlays
+      --split    cut each size into COLSxROWS equal slices, one file each (e.g. 3x1 for three monitors)
+      --viewport render only X,Y,WIDTH,HEIGHT of the --size scene (e.g. one monitor of a span)
+      --tile     render in tiles of this many pixels and stitch them into one PNG; used automatically
+                 for PNGs over ${MAX_CANVAS_SIDE}px a side
+      --seed     seed (number or text); random when omitted
+  -t, --time     seconds to advance before capturing (default 0)
+  -p, --param    visual parameter as KEY=VALUE; repeatable (see "bgen params <visual>")
+      --palette  palette id (see "bgen palettes") or path to a JSON palette definition
+      --at       clock time for live time-of-day modes (liveTime=1): HH:MM today, or an ISO date-time
+  -o, --out      output path; format from extension (.png, .jpg, .webp, or .svg for vector output).
+                 Placeholders: {visual} {width} {height} {size} {preset} {seed} {time} {col} {row}
+                 ({preset} is the preset id, or WIDTHxHEIGHT for custom sizes)
+                 Required when rendering more than one image (default {visual}-{size}.png)
+  -q, --quality  JPEG/WebP quality, 0–1 (default 0.92)
+  -h, --help     show this help`;
+
+const FORMATS = {
+    '.png': 'png',
+    '.jpg': 'jpeg',
+    '.jpeg': 'jpeg',
+    '.webp': 'webp',
+    '.svg': 'svg'
+};
+
+function fail(message) {
+    console.error(`bgen: ${message}`);
+    process.exit(1);
+}
+
+// Accepts repeated flags and comma lists alike: --size 800x600 --size 1024x768,640x480
+function listOption(values) {
+    return (values || []).flatMap(v => v.split(',')).map(v => v.trim()).filter(Boolean);
+}
+
+function parseSize(value) {
+    const preset = SIZE_PRESETS[value];
+    if (preset) return { width: preset.width, height: preset.height, unsafe: preset.unsafe, preset: preset.id };
+    const match = /^(\d+)x(\d+)$/i.exec(value);
+    if (!match) fail(`invalid size "${value}" (expected WIDTHxHEIGHT or a preset from "bgen sizes")`);
+    const width = parseInt(match[1], 10);
+    const height = parseInt(match[2], 10);
+    if (!width || !height) fail(`invalid size "${value}"`);
+    return { width, height, preset: value };
+}
+
+// COLSxROWS, e.g. 3x1
+function parseSplit(value) {
+    const match = /^(\d+)x(\d+)$/i.exec(value);
+    if (!match || !parseInt(match[1], 10) || !parseInt(match[2], 10)) fail(`invalid split "${value}" (expected COLSxROWS)`);
+    return { cols: parseInt(match[1], 10), rows: parseInt(match[2], 10) };
+}
+
+// X,Y,WIDTH,HEIGHT in scene pixels
+function parseViewport(value) {
+    const parts = value.split(',').map(v => Number(v.trim()));
+    if (parts.length !== 4 || !parts.every(Number.isInteger) || parts[2] <= 0 || parts[3] <= 0) {
+        fail(`invalid viewport "${value}" (expected X,Y,WIDTH,HEIGHT)`);
+    }
+    const [x, y, width, height] = parts;
+    return { x, y, width, height };
+}
+
+// HH:MM (today) or anything Date understands, e.g. 2024-12-21T16:30; the clock stays at that moment
+function parseClock(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(value);
+    const date = new Date();
+    if (match) {
+        date.setHours(parseInt(match[1], 10), parseInt(match[2], 10), 0, 0);
+    } else {
+        date.setTime(Date.parse(value));
+    }
+    if (isNaN(date.getTime()) || (match && (match[1] > 23 || match[2] > 59))) fail(`invalid time of day "${value}" (expected HH:MM or a date-time)`);
+    return () => date;
+}
+
+// The slices of a scene to write: the whole scene, one --viewport, or a --split grid
+function sceneSlices(size, split, viewport) {
+    if (viewport) return [{ col: 0, row: 0, viewport }];
+    if (!split) return [{ col: 0, row: 0 }];
+    const slices = [];
+    for (let row = 0; row < split.rows; row++) {
+        for (let col = 0; col < split.cols; col++) {
+            // Edges are rounded the same way on both sides so slices of uneven sizes still meet exactly
+            const x = Math.round(col * size.width / split.cols);
+            const y = Math.round(row * size.height / split.rows);
+            const width = Math.round((col + 1) * size.width / split.cols) - x;
+            const height = Math.round((row + 1) * size.height / split.rows) - y;
+            slices.push({ col, row, viewport: { x, y, width, height } });
+        }
+    }
+    return slices;
+}
+
+// --param KEY=VALUE pairs; each key must belong to at least one of the visuals being rendered
+function parseParams(values, visuals) {
+    const params = {};
+    (values || []).forEach(pair => {
+        const eq = pair.indexOf('=');
+        if (eq < 1) fail(`invalid parameter "${pair}" (expected KEY=VALUE)`);
+        const key = pair.slice(0, eq).trim();
+        if (!visuals.some(id => VISUALS[id].params[key])) {
+            fail(`unknown parameter "${key}" for ${visuals.join(', ')} (run "bgen params <visual>")`);
+        }
+        params[key] = pair.slice(eq + 1).trim();
+    });
+    return params;
+}
+
+// A visual module exports a function that receives the visuals API and calls registerVisual()
+function loadModules(files) {
+    (files || []).forEach(file => {
+        try {
+            const setup = require(path.resolve(file));
+            if (typeof setup === 'function') setup(VisualsAPI);
+        } catch (err) {
+            fail(`could not load module "${file}": ${err.message}`);
+        }
+    });
+}
+
+// A built-in id, or a JSON file such as { "name": "Mine", "colors": ["#112233", ...], "background": "#000" }
+function parsePalette(value) {
+    if (value == null || value === 'original' || PALETTES[value]) return value;
+    if (!fs.existsSync(value)) fail(`unknown palette "${value}" (run "bgen palettes" or pass a JSON file)`);
+    try {
+        return normalizePalette({ id: path.basename(value, path.extname(value)), ...JSON.parse(fs.readFileSync(value, 'utf8')) });
+    } catch (err) {
+        fail(`invalid palette file "${value}": ${err.message}`);
+    }
+}
+
+function outputPath(template, job) {
+    return template.replace(/\{(visual|width|height|size|preset|seed|time|col|row)\}/g, (_, key) => {
+        if (key === 'size') return `${job.width}x${job.height}`;
+        return String(job[key]);
+    });
+}
+
+function encode(canvas, format, quality) {
+    return format === 'png' ? canvas.encodeSync('png') : canvas.encodeSync(format, Math.round(quality * 100));
+}
+
+function formatOf(file) {
+    const format = FORMATS[path.extname(file).toLowerCase()];
+    if (!format) fail(`unsupported output extension for "${file}" (use .png, .jpg, .webp or .svg)`);
+    return format;
+}
+
+// PNG writer for images too big for one canvas: rows of tiles are read back and fed to one deflate stream as
+// scanlines, so only a single band of tiles is ever held in memory
+const CRC_TABLE = (() => {
+    const table = new Int32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c;
+    }
+    return table;
+})();
+
+function crc32(buffers) {
+    let crc = -1;
+    buffers.forEach(data => {
+        for (let i = 0; i < data.length; i++) crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    });
+    return (crc ^ -1) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const head = Buffer.alloc(8);
+    head.writeUInt32BE(data.length, 0);
+    head.write(type, 4, 'ascii');
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32([head.subarray(4), data]));
+    return Buffer.concat([head, data, crc]);
+}
+
+async function writeTiledPng(file, job, tile, options) {
+    const fd = fs.openSync(file, 'w');
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(job.width, 0);
+    header.writeUInt32BE(job.height, 4);
+    header.set([8, 6, 0, 0, 0], 8); // 8-bit RGBA, no interlace
+    fs.writeSync(fd, Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]));
+    fs.writeSync(fd, pngChunk('IHDR', header));
+    
+    const deflate = zlib.createDeflate();
+    deflate.on('data', data => fs.writeSync(fd, pngChunk('IDAT', data)));
+    const finished = new Promise((resolve, reject) => {
+        deflate.on('end', resolve);
+        deflate.on('error', reject);
+    });
+    
+    let band = [];
+    const tiles = renderTiles(VISUALS[job.visual], createCanvas, {
+        width: job.width,
+        height: job.height,
+        tileWidth: tile,
+        ...options
+    });
+    for (const t of tiles) {
+        band.push({ x: t.x, width: t.width, pixels: t.canvas.getContext('2d').getImageData(0, 0, t.width, t.height).data });
+        if (t.x + t.width < job.width) continue;
+        for (let y = 0; y < t.height; y++) {
+            const line = Buffer.alloc(1 + job.width * 4); // filter type 0
+            band.forEach(b => line.set(b.pixels.subarray(y * b.width * 4, (y + 1) * b.width * 4), 1 + b.x * 4));
+            if (!deflate.write(line)) await new Promise(resolve => deflate.once('drain', resolve));
+        }
+        band = [];
+    }
+    deflate.end();
+    await finished;
+    fs.writeSync(fd, pngChunk('IEND', Buffer.alloc(0)));
+    fs.closeSync(fd);
+}
+
+async function render(values) {
+    const visuals = listOption(values.visual);
+    const sizes = listOption(values.size).map(parseSize);
+    if (!visuals.length) fail('--visual is required');
+    if (!sizes.length) fail('--size is required');
+    visuals.forEach(id => {
+        if (!VISUALS[id]) fail(`unknown visual "${id}" (run "bgen list")`);
+    });
+    
+    const seed = values.seed != null ? normalizeSeed(values.seed) : randomSeed();
+    const time = values.time != null ? parseFloat(values.time) : 0;
+    const quality = values.quality != null ? parseFloat(values.quality) : 0.92;
+    const params = parseParams(values.param, visuals);
+    const palette = parsePalette(values.palette);
+    const split = values.split != null ? parseSplit(values.split) : null;
+    const viewport = values.viewport != null ? parseViewport(values.viewport) : null;
+    const tile = values.tile != null ? parseInt(values.tile, 10) : null;
+    const clock = values.at != null ? parseClock(values.at) : undefined;
+    if (!(time >= 0)) fail(`invalid time "${values.time}"`);
+    if (!(quality > 0 && quality <= 1)) fail(`invalid quality "${values.quality}" (expected 0–1)`);
+    if (split && viewport) fail('--split and --viewport cannot be combined');
+    if (tile != null && !(tile > 0)) fail(`invalid tile size "${values.tile}"`);
+    if (tile && (split || viewport)) fail('--tile renders whole scenes; it cannot be combined with --split or --viewport');
+    
+    const jobs = [];
+    visuals.forEach(visual => sizes.forEach(size => sceneSlices(size, split, viewport).forEach(slice => {
+        jobs.push({ visual, seed, time, ...size, ...slice });
+    })));
+    const template = values.out || '{visual}-{size}.png';
+    const files = jobs.map(job => outputPath(template, job));
+    if (new Set(files).size !== files.length) {
+        fail('--out must contain placeholders such as {visual} and {size} when rendering several images');
+    }
+    
+    for (const [i, job] of jobs.entries()) {
+        const file = files[i];
+        const format = formatOf(file);
+        const tiled = tile || (format !== 'svg' && !job.viewport && Math.max(job.width, job.height) > MAX_CANVAS_SIDE);
+        if (tiled && format !== 'png') {
+            fail(`tiled output is PNG only ("${file}"); images over ${MAX_CANVAS_SIDE}px a side are always tiled`);
+        }
+        fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+        if (tiled) {
+            await writeTiledPng(file, job, tile || DEFAULT_TILE, { seed, time, params, palette, clock, unsafe: job.unsafe });
+        } else {
+            const out = job.viewport || job;
+            const options = {
+                seed, time, params, palette, clock, unsafe: job.unsafe,
+                scene: { width: job.width, height: job.height },
+                viewport: job.viewport
+            };
+            if (format === 'svg') {
+                fs.writeFileSync(file, renderSvg(VISUALS[job.visual], out.width, out.height, options));
+            } else {
+                const canvas = createCanvas(out.width, out.height);
+                renderStill(VISUALS[job.visual], canvas, options);
+                fs.writeFileSync(file, encode(canvas, format, quality));
+            }
+        }
+        const slice = job.viewport ? ` slice ${job.viewport.width}×${job.viewport.height}+${job.viewport.x}+${job.viewport.y}` : '';
+        console.log(`${file}  (${job.visual} ${job.width}×${job.height}${slice}, seed ${seed}, t=${time}s)`);
+    }
+}
+
+async function main(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                visual: { type: 'string', short: 'v', multiple: true },
+                size: { type: 'string', short: 's', multiple: true },
+                seed: { type: 'string' },
+                time: { type: 'string', short: 't' },
+                param: { type: 'string', short: 'p', multiple: true },
+                palette: { type: 'string' },
+                split: { type: 'string' },
+                viewport: { type: 'string' },
+                tile: { type: 'string' },
+                at: { type: 'string' },
+                module: { type: 'string', short: 'm', multiple: true },
+                out: { type: 'string', short: 'o' },
+                quality: { type: 'string', short: 'q' },
+                help: { type: 'boolean', short: 'h' }
+            }
+        });
+    } catch (err) {
+        fail(err.message);
+    }
+    const { values, positionals } = parsed;
+    const command = positionals[0];
+    
+    if (values.help || !command) {
+        console.log(USAGE);
+        return;
+    }
+    loadModules(values.module);
+    if (command === 'list') {
+        Object.values(VISUAL_DEFINITIONS).forEach(def => console.log(`${def.id.padEnd(14)} ${def.name} (${def.category})`));
+    } else if (command === 'palettes') {
+        console.log(`${'original'.padEnd(14)} each visual's own colors (default)`);
+        Object.values(PALETTES).forEach(p => console.log(`${p.id.padEnd(14)} ${p.name}`));
+    } else if (command === 'sizes') {
+        Object.values(SIZE_PRESETS).forEach(p => {
+            const unsafe = p.unsafe.length ? `; avoids ${p.unsafe.map(r => r.label.toLowerCase()).join(', ')}` : '';
+            console.log(`${p.id.padEnd(16)} ${`${p.width}x${p.height}`.padEnd(10)} ${p.label} (${p.category}, ${p.aspect}${unsafe})`);
+        });
+    } else if (command === 'params') {
+        const VisualClass = VISUALS[positionals[1]];
+        if (!VisualClass) fail(`unknown visual "${positionals[1]}" (run "bgen list")`);
+        Object.entries(VisualClass.params).forEach(([key, def]) => {
+            const range = def.type === 'number' ? ` ${def.min}–${def.max}` : def.type === 'select' ? ` ${def.options.map(o => o.value).join('|')}` : '';
+            console.log(`${key.padEnd(14)} ${def.type}${range}, default ${def.default}  (${def.label})`);
+        });
+    } else if (command === 'render') {
+        await render(values);
+    } else {
+        fail(`unknown command "${command}"\n\n${USAGE}`);
+    }
+}
+
+main(process.argv.slice(2)).catch(err => fail(err.message));
@@ -0,0 +1,75 @@
+// Renders visuals on OffscreenCanvases handed over by app.js (see WorkerRenderer there). The main thread keeps
+// the clock: each 'frame' message carries the seconds to advance, so speed, pause and frame-step behave exactly
+// as they do when rendering on the main thread.
+importScripts('visuals.js');
+
+const surfaces = new Map();
+
+const handlers = {
+    // options are the usual visual options plus width/height for the scene size, with the clock as clockOffset
+    create({ id, canvas, visual, options }) {
+        const VisualClass = VISUALS[visual];
+        if (!VisualClass) throw new Error(`Unknown visual "${visual}"`);
+        const { clockOffset, ...rest } = options;
+        const clock = clockOffset ? () => Date.now() + clockOffset : undefined;
+        surfaces.set(id, new VisualClass(canvas, canvas.getContext('2d'), { ...rest, clock }));
+    },
+
+    // canvasWidth/canvasHeight resize the backing store; width/height resize the scene
+    resize({ id, canvasWidth, canvasHeight, width, height }) {
+        const visual = surfaces.get(id);
+        if (canvasWidth) {
+            visual.canvas.width = canvasWidth;
+            visual.canvas.height = canvasHeight;
+        }
+        if (width && (width !== visual.width || height !== visual.height)) {
+            visual.resize(width, height);
+        }
+    },
+
+    // viewport (optional) is the part of the scene to draw, for slices of a larger scene; audio and pointers
+    // carry the input of audio-reactive and interactive modes
+    frame({ id, dt, viewport, audio, pointers }) {
+        const visual = surfaces.get(id);
+        visual.setAudio(audio);
+        visual.setPointers(pointers);
+        stepVisual(visual, dt);
+        drawVisual(visual, viewport || undefined);
+        self.postMessage({ type: 'rendered', id });
+    },
+
+    // Posts the last frame drawn back as a PNG blob
+    snapshot({ id }) {
+        surfaces.get(id).canvas.convertToBlob({ type: 'image/png' })
+            .then(blob => self.postMessage({ type: 'snapshot', id, blob }))
+            .catch(err => self.postMessage({ type: 'error', id, message: err.message }));
+    },
+
+    setParam({ id, key, value }) {
+        surfaces.get(id).setParam(key, value);
+    },
+
+    setPalette({ id, palette }) {
+        surfaces.get(id).setPalette(palette);
+    },
+
+    setQuality({ id, level }) {
+        surfaces.get(id).setQualityLevel(level);
+    },
+
+    destroy({ id }) {
+        surfaces.delete(id);
+    }
+};
+
+self.onmessage = (e) => {
+    const message = e.data;
+    try {
+        if (message.id != null && message.type !== 'create' && !surfaces.has(message.id)) return;
+        handlers[message.type](message);
+    } catch (err) {
+        self.postMessage({ type: 'error', id: message.id, message: err.message });
+    }
+};
+
+self.postMessage({ type: 'ready', visuals: Object.keys(VISUALS) });
@@ -0,0 +1,84 @@
+// Snapshot tests: every registered visual is rendered at fixed seeds, sizes and times through a RecordingContext
+// and compared against test/snapshots.json. Each snapshot keeps a hash of the full call log plus a per-method
+// call count (so a failure shows roughly what changed), and a hash of the pixels drawn by @napi-rs/canvas. Pixel
+// hashes only compare when the canvas version that wrote them is installed, since rasterizers differ slightly.
+//
+//   npm test                    compare (missing snapshots are written, except under CI)
+//   npm run test:update         rewrite every snapshot after an intended change
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createCanvas } = require('@napi-rs/canvas');
+const { version: canvasVersion } = require('@napi-rs/canvas/package.json');
+const { VISUALS, SyntheticAudio, recordVisual } = require('../visuals.js');
+
+const SNAPSHOT_FILE = path.join(__dirname, 'snapshots.json');
+const UPDATE = !!process.env.UPDATE_SNAPSHOTS;
+const CI = !!process.env.CI;
+
+const CASES = [
+    { width: 320, height: 180, seed: 1, time: 0 },
+    { width: 320, height: 180, seed: 2, time: 5 },
+    { width: 180, height: 320, seed: 3, time: 2 },
+    // audio-reactive, fed a synthetic beat
+    { width: 320, height: 180, seed: 4, time: 3, bpm: 120 }
+];
+
+const stored = fs.existsSync(SNAPSHOT_FILE)
+    ? JSON.parse(fs.readFileSync(SNAPSHOT_FILE, 'utf8'))
+    : { canvas: canvasVersion, snapshots: {} };
+const pixelsComparable = stored.canvas === canvasVersion;
+const written = { canvas: UPDATE ? canvasVersion : stored.canvas, snapshots: { ...stored.snapshots } };
+let changed = false;
+
+function hash(data) {
+    return crypto.createHash('sha256').update(data).digest('hex').slice(0, 16);
+}
+
+function snapshot(VisualClass, { width, height, seed, time, bpm }) {
+    const canvas = createCanvas(width, height);
+    const audio = bpm ? new SyntheticAudio({ bpm }) : undefined;
+    const log = recordVisual(VisualClass, width, height, { seed, time, audio }, canvas.getContext('2d'));
+    const counts = {};
+    log.forEach(line => {
+        const name = line.match(/^[#\d.]*(\w+)/)[1];
+        counts[name] = (counts[name] || 0) + 1;
+    });
+    return {
+        calls: log.length,
+        counts,
+        callHash: hash(log.join('\n')),
+        pixelHash: hash(canvas.data())
+    };
+}
+
+Object.keys(VISUALS).forEach(id => {
+    test(id, async (t) => {
+        for (const testCase of CASES) {
+            const { width, height, seed, time, bpm } = testCase;
+            const key = `${id} ${width}x${height} seed=${seed} t=${time}${bpm ? ` bpm=${bpm}` : ''}`;
+            await t.test(key, () => {
+                const actual = snapshot(VISUALS[id], testCase);
+                const expected = stored.snapshots[key];
+                if (UPDATE || !expected) {
+                    if (!UPDATE && CI) assert.fail(`No snapshot for "${key}" (run npm run test:update)`);
+                    written.snapshots[key] = actual;
+                    changed = true;
+                    return;
+                }
+                const { pixelHash, ...calls } = actual;
+                const { pixelHash: expectedPixels, ...expectedCalls } = expected;
+                assert.deepStrictEqual(calls, expectedCalls, `Draw calls changed for "${key}"`);
+                if (pixelsComparable) {
+                    assert.strictEqual(pixelHash, expectedPixels, `Pixels changed for "${key}"`);
+                }
+            });
+        }
+    });
+});
+
+test.after(() => {
+    if (changed) fs.writeFileSync(SNAPSHOT_FILE, JSON.stringify(written, null, 2) + '\n');
+});
@@ -0,0 +1,2683 @@
+// Base Visual Class — scale so fullscreen matches preview density (ref = 280×200)
+const REF_AREA = 280 * 200;
+function visualScale(width, height) {
+    return Math.sqrt((width * height) / REF_AREA);
+}
+
+// Seeded PRNG (mulberry32) — visuals draw from this.random() so a seed reproduces the scene
+function createRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function randomSeed() {
+    return Math.floor(Math.random() * 4294967296);
+}
+
+// Seeds are uint32; numeric strings parse as-is, any other text is hashed (FNV-1a) so words work too
+function normalizeSeed(value) {
+    if (typeof value === 'number' && isFinite(value)) return Math.floor(Math.abs(value)) >>> 0;
+    const text = String(value).trim();
+    if (/^\d+$/.test(text)) return Number(text) >>> 0;
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        h ^= text.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+// Longest single update step (seconds). Longer spans are sub-stepped so integrated motion
+// (smoke drift, lantern sway, bloom lag) comes out the same however coarsely a visual is driven
+const FRAME_STEP = 1 / 60;
+
+function stepVisual(visual, dt) {
+    while (dt > 1e-9) {
+        const step = Math.min(FRAME_STEP, dt);
+        visual.update(step);
+        dt -= step;
+    }
+}
+
+// With an audio source (see SyntheticAudio) the visual hears it once per FRAME_STEP, as it would live at 60 fps
+function advanceVisual(visual, time, audio) {
+    if (!audio) return stepVisual(visual, time);
+    for (let t = 0; time - t > 1e-9; t += FRAME_STEP) {
+        const step = Math.min(FRAME_STEP, time - t);
+        visual.setAudio(audio.read(step));
+        visual.update(step);
+    }
+}
+
+// Renders with the context mapping `viewport` (scene coordinates, default the whole scene) onto the whole canvas:
+// covers backing stores that differ from the scene size (devicePixelRatio, render scale, small previews) and
+// tiles or monitor slices of a larger scene. Visuals without a local context render as-is.
+function drawVisual(visual, viewport = { x: 0, y: 0, width: visual.width, height: visual.height }) {
+    if (visual.ctx) {
+        const kx = visual.canvas.width / viewport.width;
+        const ky = visual.canvas.height / viewport.height;
+        visual.ctx.setTransform(kx, 0, 0, ky, -viewport.x * kx, -viewport.y * ky);
+    }
+    visual.render();
+}
+
+// Splits a width × height scene into row-major tiles of at most tileWidth × tileHeight
+function tileViewports(width, height, tileWidth, tileHeight = tileWidth) {
+    const tiles = [];
+    for (let row = 0, y = 0; y < height; row++, y += tileHeight) {
+        for (let col = 0, x = 0; x < width; col++, x += tileWidth) {
+            tiles.push({ col, row, x, y, width: Math.min(tileWidth, width - x), height: Math.min(tileHeight, height - y) });
+        }
+    }
+    return tiles;
+}
+
+// Deterministic clock for recording: frame n is always at n / fps seconds, however long a frame takes
+class FrameClock {
+    constructor(fps) {
+        this.fps = fps;
+        this.frame = 0;
+        this.elapsed = 0;
+    }
+    
+    get time() {
+        return this.frame / this.fps;
+    }
+    
+    // Brings a visual up to the current frame's time (relative to where it started)
+    advance(visual) {
+        stepVisual(visual, this.time - this.elapsed);
+        this.elapsed = this.time;
+    }
+    
+    tick() {
+        this.frame++;
+    }
+}
+
+// Builds a visual on the given canvas, runs it to `time` seconds and draws that frame
+// `scene` sets a virtual scene size (default: the canvas) and `viewport` the part of it drawn onto the canvas
+function renderStill(VisualClass, canvas, { seed, time = 0, params, palette, clock, unsafe, audio, scene, viewport } = {}) {
+    const visual = new VisualClass(canvas, canvas.getContext('2d'), { ...scene, seed, params, palette, clock, unsafe });
+    advanceVisual(visual, time, audio);
+    drawVisual(visual, viewport);
+    return visual;
+}
+
+// Renders a scene too large for one canvas as tiles (see tileViewports), one canvas at a time from
+// createCanvas(width, height). The visual is advanced once and every tile draws that same state through its
+// own viewport, so tiles placed at their (x, y) line up exactly.
+function* renderTiles(VisualClass, createCanvas, { width, height, tileWidth, tileHeight = tileWidth, seed, time = 0, params, palette, clock, unsafe, audio }) {
+    let visual = null;
+    for (const tile of tileViewports(width, height, tileWidth, tileHeight)) {
+        const canvas = createCanvas(tile.width, tile.height);
+        if (visual) {
+            visual.canvas = canvas;
+            visual.ctx = canvas.getContext('2d');
+        } else {
+            visual = new VisualClass(canvas, canvas.getContext('2d'), { width, height, seed, params, palette, clock, unsafe });
+            advanceVisual(visual, time, audio);
+        }
+        drawVisual(visual, tile);
+        yield { ...tile, canvas, visual };
+    }
+}
+
+// SVG export: a stand-in for CanvasRenderingContext2D covering the calls visuals make, which writes each
+// fill and stroke as an SVG path instead of pixels. Points are transformed as they are added (as a canvas
+// does), so the document is flat paths in canvas pixels; gradients keep the transform of the fill that used
+// them. Arcs and ellipses become cubic Béziers.
+class SvgContext {
+    constructor(width, height) {
+        this.canvas = { width, height, getContext: () => this };
+        this.fillStyle = '#000000';
+        this.strokeStyle = '#000000';
+        this.lineWidth = 1;
+        this.lineCap = 'butt';
+        this.lineJoin = 'miter';
+        this.globalAlpha = 1;
+        this.matrix = [1, 0, 0, 1, 0, 0];
+        this.stack = [];
+        this.path = [];
+        this.hasPoint = false;
+        this.defs = [];
+        this.elements = [];
+        this.gradientIds = new Map();
+    }
+    
+    save() {
+        const { fillStyle, strokeStyle, lineWidth, lineCap, lineJoin, globalAlpha, matrix } = this;
+        this.stack.push({ fillStyle, strokeStyle, lineWidth, lineCap, lineJoin, globalAlpha, matrix: matrix.slice() });
+    }
+    
+    restore() {
+        if (this.stack.length) Object.assign(this, this.stack.pop());
+    }
+    
+    setTransform(a, b, c, d, e, f) {
+        this.matrix = [a, b, c, d, e, f];
+    }
+    
+    resetTransform() {
+        this.setTransform(1, 0, 0, 1, 0, 0);
+    }
+    
+    transform(a, b, c, d, e, f) {
+        const [m0, m1, m2, m3, m4, m5] = this.matrix;
+        this.matrix = [
+            m0 * a + m2 * b, m1 * a + m3 * b,
+            m0 * c + m2 * d, m1 * c + m3 * d,
+            m0 * e + m2 * f + m4, m1 * e + m3 * f + m5
+        ];
+    }
+    
+    translate(x, y) {
+        this.transform(1, 0, 0, 1, x, y);
+    }
+    
+    rotate(angle) {
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        this.transform(cos, sin, -sin, cos, 0, 0);
+    }
+    
+    scale(x, y) {
+        this.transform(x, 0, 0, y, 0, 0);
+    }
+    
+    point(x, y) {
+        const [a, b, c, d, e, f] = this.matrix;
+        return `${svgNumber(a * x + c * y + e)} ${svgNumber(b * x + d * y + f)}`;
+    }
+    
+    beginPath() {
+        this.path = [];
+        this.hasPoint = false;
+    }
+    
+    moveTo(x, y) {
+        this.path.push(`M${this.point(x, y)}`);
+        this.hasPoint = true;
+    }
+    
+    lineTo(x, y) {
+        if (this.hasPoint) this.path.push(`L${this.point(x, y)}`);
+        else this.moveTo(x, y);
+    }
+    
+    quadraticCurveTo(cpx, cpy, x, y) {
+        if (!this.hasPoint) this.moveTo(cpx, cpy);
+        this.path.push(`Q${this.point(cpx, cpy)} ${this.point(x, y)}`);
+    }
+    
+    bezierCurveTo(cp1x, cp1y, cp2x, cp2y, x, y) {
+        if (!this.hasPoint) this.moveTo(cp1x, cp1y);
+        this.path.push(`C${this.point(cp1x, cp1y)} ${this.point(cp2x, cp2y)} ${this.point(x, y)}`);
+    }
+    
+    closePath() {
+        if (this.hasPoint) this.path.push('Z');
+    }
+    
+    rect(x, y, width, height) {
+        this.moveTo(x, y);
+        this.lineTo(x + width, y);
+        this.lineTo(x + width, y + height);
+        this.lineTo(x, y + height);
+        this.closePath();
+        this.moveTo(x, y);
+    }
+    
+    arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+        this.ellipse(x, y, radius, radius, 0, startAngle, endAngle, counterclockwise);
+    }
+    
+    // Split into Bézier segments of at most a quarter turn, joined to the current point as canvas does
+    ellipse(x, y, radiusX, radiusY, rotation, startAngle, endAngle, counterclockwise = false) {
+        const turn = Math.PI * 2;
+        const span = counterclockwise ? startAngle - endAngle : endAngle - startAngle;
+        const sweep = (span >= turn ? turn : ((span % turn) + turn) % turn) * (counterclockwise ? -1 : 1);
+        const cos = Math.cos(rotation);
+        const sin = Math.sin(rotation);
+        const at = (u, v) => [x + radiusX * u * cos - radiusY * v * sin, y + radiusX * u * sin + radiusY * v * cos];
+        
+        const [sx, sy] = at(Math.cos(startAngle), Math.sin(startAngle));
+        if (this.hasPoint) this.lineTo(sx, sy);
+        else this.moveTo(sx, sy);
+        const segments = Math.max(1, Math.ceil(Math.abs(sweep) / (Math.PI / 2) - 1e-9));
+        const step = sweep / segments;
+        const k = 4 / 3 * Math.tan(step / 4);
+        for (let i = 0; i < segments; i++) {
+            const a0 = startAngle + step * i;
+            const a1 = a0 + step;
+            const [c1x, c1y] = at(Math.cos(a0) - k * Math.sin(a0), Math.sin(a0) + k * Math.cos(a0));
+            const [c2x, c2y] = at(Math.cos(a1) + k * Math.sin(a1), Math.sin(a1) - k * Math.cos(a1));
+            const [ex, ey] = at(Math.cos(a1), Math.sin(a1));
+            this.bezierCurveTo(c1x, c1y, c2x, c2y, ex, ey);
+        }
+    }
+    
+    createLinearGradient(x0, y0, x1, y1) {
+        return new SvgGradient('linear', { x1: x0, y1: y0, x2: x1, y2: y1 });
+    }
+    
+    createRadialGradient(x0, y0, r0, x1, y1, r1) {
+        return new SvgGradient('radial', { fx: x0, fy: y0, fr: r0, cx: x1, cy: y1, r: r1 });
+    }
+    
+    fill() {
+        if (this.path.length) this.addPath(this.path.join(''), 'fill');
+    }
+    
+    stroke() {
+        if (this.path.length) this.addPath(this.path.join(''), 'stroke');
+    }
+    
+    fillRect(x, y, width, height) {
+        this.addPath(this.rectPath(x, y, width, height), 'fill');
+    }
+    
+    strokeRect(x, y, width, height) {
+        this.addPath(this.rectPath(x, y, width, height), 'stroke');
+    }
+    
+    rectPath(x, y, width, height) {
+        return `M${this.point(x, y)}L${this.point(x + width, y)}L${this.point(x + width, y + height)}L${this.point(x, y + height)}Z`;
+    }
+    
+    addPath(d, mode) {
+        const { color, opacity } = this.paint(mode === 'fill' ? this.fillStyle : this.strokeStyle);
+        if (opacity <= 0) return;
+        const alpha = opacity < 1 ? ` ${mode}-opacity="${svgNumber(opacity, 3)}"` : '';
+        if (mode === 'fill') {
+            this.elements.push(`<path d="${d}" fill="${color}"${alpha}/>`);
+        } else {
+            const [a, b, c, dd] = this.matrix;
+            const width = this.lineWidth * Math.sqrt(Math.abs(a * dd - b * c));
+            const caps = `${this.lineCap !== 'butt' ? ` stroke-linecap="${this.lineCap}"` : ''}${this.lineJoin !== 'miter' ? ` stroke-linejoin="${this.lineJoin}"` : ''}`;
+            this.elements.push(`<path d="${d}" fill="none" stroke="${color}" stroke-width="${svgNumber(width, 3)}"${caps}${alpha}/>`);
+        }
+    }
+    
+    // A CSS color becomes a hex color plus opacity (what vector editors import most reliably); a gradient
+    // becomes a reference to a <defs> entry, one per gradient and transform it is used with
+    paint(style) {
+        if (!(style instanceof SvgGradient)) {
+            const c = parseColor(style);
+            return { color: svgHex(c), opacity: c.a * this.globalAlpha };
+        }
+        const transform = this.matrix.map(n => svgNumber(n, 6)).join(' ');
+        let ids = this.gradientIds.get(style);
+        if (!ids) this.gradientIds.set(style, ids = {});
+        if (!ids[transform]) {
+            ids[transform] = `g${this.defs.length + 1}`;
+            this.defs.push(style.toSvg(ids[transform], transform));
+        }
+        return { color: `url(#${ids[transform]})`, opacity: this.globalAlpha };
+    }
+    
+    toSvg() {
+        const { width, height } = this.canvas;
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+            this.defs.length ? `<defs>\n${this.defs.join('\n')}\n</defs>` : '',
+            ...this.elements,
+            '</svg>',
+            ''
+        ].filter(line => line !== '').join('\n') + '\n';
+    }
+}
+
+class SvgGradient {
+    constructor(type, coords) {
+        this.type = type;
+        this.coords = coords;
+        this.stops = [];
+    }
+    
+    addColorStop(offset, color) {
+        this.stops.push({ offset, color: parseColor(color) });
+    }
+    
+    toSvg(id, transform) {
+        const coords = Object.entries(this.coords)
+            .filter(([key, value]) => key !== 'fr' || value > 0)
+            .map(([key, value]) => ` ${key}="${svgNumber(value)}"`)
+            .join('');
+        const stops = this.stops.map(({ offset, color }) => {
+            const alpha = color.a < 1 ? ` stop-opacity="${svgNumber(color.a, 3)}"` : '';
+            return `<stop offset="${svgNumber(offset, 4)}" stop-color="${svgHex(color)}"${alpha}/>`;
+        });
+        const tag = `${this.type}Gradient`;
+        return `<${tag} id="${id}" gradientUnits="userSpaceOnUse" gradientTransform="matrix(${transform})"${coords}>${stops.join('')}</${tag}>`;
+    }
+}
+
+function svgNumber(n, digits = 2) {
+    const k = Math.pow(10, digits);
+    return String(Math.round(n * k) / k || 0);
+}
+
+function svgHex(c) {
+    return `#${[c.r, c.g, c.b].map(v => Math.round(Math.max(0, Math.min(255, v))).toString(16).padStart(2, '0')).join('')}`;
+}
+
+// renderStill into an SvgContext; returns the SVG document as a string
+function renderSvg(VisualClass, width, height, options = {}) {
+    const ctx = new SvgContext(width, height);
+    renderStill(VisualClass, ctx.canvas, options);
+    return ctx.toSvg();
+}
+
+// Call recording: a stand-in 2D context that logs every method call and property assignment a visual makes,
+// one line each ("fillRect(0, 0, 320, 180)", "fillStyle = \"#0a0a12\""), and forwards them to `target` when
+// given (a real context, or an SvgContext) so the same frame can be drawn and logged at once. Numbers are
+// rounded to 4 decimals so logs compare stably; gradients are logged by number ("#1.addColorStop(…)").
+const CONTEXT_METHODS = [
+    'save', 'restore', 'setTransform', 'resetTransform', 'transform', 'translate', 'rotate', 'scale',
+    'beginPath', 'closePath', 'moveTo', 'lineTo', 'quadraticCurveTo', 'bezierCurveTo', 'arc', 'arcTo', 'ellipse',
+    'rect', 'fill', 'stroke', 'clip', 'fillRect', 'strokeRect', 'clearRect', 'fillText', 'strokeText', 'measureText',
+    'drawImage', 'getImageData', 'putImageData', 'setLineDash', 'createPattern',
+    'createLinearGradient', 'createRadialGradient', 'createConicGradient'
+];
+const CONTEXT_PROPERTIES = [
+    'fillStyle', 'strokeStyle', 'lineWidth', 'lineCap', 'lineJoin', 'miterLimit', 'lineDashOffset', 'globalAlpha',
+    'globalCompositeOperation', 'filter', 'shadowBlur', 'shadowColor', 'shadowOffsetX', 'shadowOffsetY',
+    'font', 'textAlign', 'textBaseline', 'imageSmoothingEnabled'
+];
+
+class RecordingContext {
+    constructor(canvas, target = null) {
+        this.canvas = canvas;
+        this.target = target;
+        this.log = [];
+        this.values = {};
+        this.gradients = 0;
+    }
+    
+    record(line) {
+        this.log.push(line);
+    }
+    
+    format(value) {
+        if (typeof value === 'number') return String(Math.round(value * 1e4) / 1e4 || 0);
+        if (typeof value === 'string') return JSON.stringify(value);
+        if (value instanceof RecordingGradient) return `#${value.id}`;
+        if (value == null || typeof value === 'boolean') return String(value);
+        if (Array.isArray(value)) return `[${value.map(v => this.format(v)).join(', ')}]`;
+        return `[${value.constructor ? value.constructor.name : 'object'}]`;
+    }
+}
+
+CONTEXT_METHODS.forEach(name => {
+    RecordingContext.prototype[name] = function (...args) {
+        const result = this.target ? this.target[name](...args.map(a => a instanceof RecordingGradient ? a.target : a)) : undefined;
+        if (name.endsWith('Gradient')) {
+            const gradient = new RecordingGradient(this, ++this.gradients, result);
+            this.record(`${name}(${args.map(a => this.format(a)).join(', ')}) -> #${gradient.id}`);
+            return gradient;
+        }
+        this.record(`${name}(${args.map(a => this.format(a)).join(', ')})`);
+        return result;
+    };
+});
+
+CONTEXT_PROPERTIES.forEach(name => {
+    Object.defineProperty(RecordingContext.prototype, name, {
+        get() {
+            if (name in this.values) return this.values[name];
+            return this.target ? this.target[name] : undefined;
+        },
+        set(value) {
+            this.values[name] = value;
+            this.record(`${name} = ${this.format(value)}`);
+            if (this.target) this.target[name] = value instanceof RecordingGradient ? value.target : value;
+        }
+    });
+});
+
+class RecordingGradient {
+    constructor(context, id, target) {
+        this.context = context;
+        this.id = id;
+        this.target = target;
+    }
+    
+    addColorStop(offset, color) {
+        this.context.record(`#${this.id}.addColorStop(${this.context.format(offset)}, ${this.context.format(color)})`);
+        if (this.target) this.target.addColorStop(offset, color);
+    }
+}
+
+// renderStill into a RecordingContext; returns the frame's call log as an array of lines. `target`
+// (optional) also draws the frame, e.g. onto a real canvas's context for a pixel comparison.
+function recordVisual(VisualClass, width, height, options = {}, target = null) {
+    const canvas = target ? target.canvas : { width, height };
+    const ctx = new RecordingContext(canvas, target);
+    canvas.getContext = () => ctx;
+    renderStill(VisualClass, canvas, options);
+    return ctx.log;
+}
+
+// Live time-of-day modes read the wall clock through BaseVisual.now(). Local clock time stands in for solar
+// time, which is off by up to an hour or so (time zone, daylight saving) — plenty for a background.
+function localHours(date) {
+    return date.getHours() + date.getMinutes() / 60 + date.getSeconds() / 3600;
+}
+
+// Sun elevation above the horizon and hour angle (0 at noon, negative in the morning), both in degrees
+function sunPosition(date, latitude = 45) {
+    const rad = Math.PI / 180;
+    const dayOfYear = (Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) - Date.UTC(date.getFullYear(), 0, 0)) / 86400000;
+    const declination = -23.44 * Math.cos(2 * Math.PI * (dayOfYear + 10) / 365);
+    const hourAngle = 15 * (localHours(date) - 12);
+    const sinElevation = Math.sin(latitude * rad) * Math.sin(declination * rad) +
+        Math.cos(latitude * rad) * Math.cos(declination * rad) * Math.cos(hourAngle * rad);
+    return { elevation: Math.asin(sinElevation) / rad, hourAngle };
+}
+
+// Audio-reactive mode. Visuals read this.audio, features in [0, 1] refreshed every frame:
+//   level, bass, mid, treble — loudness overall and per band, relative to the music's recent peaks
+//   beat — 1 at a beat onset, dying away within a quarter second; beats — onsets counted so far
+// They come from an audio source, which is anything whose read(dt) returns them: AudioInput in app.js
+// analyses a playing file or MediaStream, SyntheticAudio fakes a steady beat for tests and renders.
+const SILENCE = Object.freeze({ level: 0, bass: 0, mid: 0, treble: 0, beat: 0, beats: 0 });
+
+// Band edges in Hz
+const AUDIO_BANDS = { bass: [20, 250], mid: [250, 2000], treble: [2000, 10000] };
+
+// Turns one magnitude spectrum per frame (0–255 per bin, evenly spaced from 0 Hz to sampleRate / 2, as
+// AnalyserNode.getByteFrequencyData fills it) into features. Bands jump up and ease down, scaled by peaks
+// that fade over a few seconds so quiet and loud tracks move the visuals alike. An onset is the bass rising
+// well above its average over the last second.
+class AudioAnalysis {
+    constructor({ sampleRate = 44100 } = {}) {
+        this.sampleRate = sampleRate;
+        this.features = { ...SILENCE };
+        this.peaks = { level: 0, bass: 0, mid: 0, treble: 0 };
+        this.bassAverage = 0;
+        this.sinceBeat = Infinity;
+    }
+    
+    bandEnergy(spectrum, [low, high]) {
+        const binHz = this.sampleRate / 2 / spectrum.length;
+        const from = Math.min(spectrum.length - 1, Math.floor(low / binHz));
+        const to = Math.min(spectrum.length, Math.max(from + 1, Math.ceil(high / binHz)));
+        let sum = 0;
+        for (let i = from; i < to; i++) sum += spectrum[i];
+        return sum / (to - from) / 255;
+    }
+    
+    analyse(spectrum, dt) {
+        const raw = {};
+        Object.entries(AUDIO_BANDS).forEach(([band, range]) => { raw[band] = this.bandEnergy(spectrum, range); });
+        raw.level = (raw.bass + raw.mid + raw.treble) / 3;
+        
+        const features = this.features;
+        const fade = Math.pow(0.5, dt / 4);
+        const attack = 1 - Math.exp(-dt / 0.02);
+        const release = 1 - Math.exp(-dt / 0.25);
+        Object.keys(this.peaks).forEach(key => {
+            this.peaks[key] = Math.max(raw[key], this.peaks[key] * fade);
+            const value = raw[key] / Math.max(this.peaks[key], 0.05);
+            features[key] += (value - features[key]) * (value > features[key] ? attack : release);
+        });
+        
+        this.sinceBeat += dt;
+        if (raw.bass > this.bassAverage * 1.3 + 0.02 && this.sinceBeat > 0.25) {
+            features.beat = 1;
+            features.beats++;
+            this.sinceBeat = 0;
+        } else {
+            features.beat *= Math.exp(-dt / 0.12);
+        }
+        this.bassAverage += (raw.bass - this.bassAverage) * (1 - Math.exp(-dt));
+        return { ...features };
+    }
+}
+
+// An audio source without audio: a kick on every beat, hi-hats on the off-beats and a slowly swelling mid,
+// built as spectra and run through AudioAnalysis like real input. Deterministic, so renders reproduce.
+class SyntheticAudio {
+    constructor({ bpm = 120, bins = 1024, sampleRate = 44100 } = {}) {
+        this.bpm = bpm;
+        this.time = 0;
+        this.spectrum = new Uint8Array(bins);
+        this.binHz = sampleRate / 2 / bins;
+        this.analysis = new AudioAnalysis({ sampleRate });
+    }
+    
+    read(dt) {
+        this.time += dt;
+        const phase = (this.time * this.bpm / 60) % 1;
+        const kick = Math.exp(-phase * 8);
+        const hat = Math.exp(-Math.abs(phase - 0.5) * 24);
+        const swell = 0.45 + 0.3 * Math.sin(this.time * 0.7);
+        for (let i = 0; i < this.spectrum.length; i++) {
+            const hz = i * this.binHz;
+            const energy = hz < 250 ? kick * 0.9 : hz < 2000 ? swell * 0.6 : hat * 0.5 * Math.exp(-hz / 12000);
+            this.spectrum[i] = Math.round(255 * energy);
+        }
+        return this.analysis.analyse(this.spectrum, dt);
+    }
+}
+
+// Colors — palettes hold parsed { r, g, b, a } values; visuals format them back into CSS strings
+function parseColor(value) {
+    if (typeof value === 'object' && value) return { a: 1, ...value };
+    const text = String(value).trim().toLowerCase();
+    if (text === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+    let m = /^#([0-9a-f]{3,8})$/.exec(text);
+    if (m && [3, 4, 6, 8].includes(m[1].length)) {
+        const hex = m[1].length <= 4 ? m[1].replace(/./g, '$&$&') : m[1];
+        const n = (i) => parseInt(hex.slice(i * 2, i * 2 + 2), 16);
+        return { r: n(0), g: n(1), b: n(2), a: hex.length === 8 ? n(3) / 255 : 1 };
+    }
+    m = /^(rgb|hsl)a?\(([^)]*)\)$/.exec(text);
+    if (m) {
+        const parts = m[2].split(/[\s,/]+/).filter(Boolean).map(parseFloat);
+        const a = parts.length > 3 ? parts[3] : 1;
+        if (m[1] === 'rgb') return { r: parts[0], g: parts[1], b: parts[2], a };
+        return { ...hslToRgb(parts[0], parts[1], parts[2]), a };
+    }
+    throw new Error(`Unsupported color "${value}"`);
+}
+
+function hslToRgb(h, s, l) {
+    s /= 100;
+    l /= 100;
+    const k = (n) => (n + h / 30) % 12;
+    const f = (n) => l - s * Math.min(l, 1 - l) * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+    return { r: f(0) * 255, g: f(8) * 255, b: f(4) * 255 };
+}
+
+function rgbToHsl({ r, g, b }) {
+    r /= 255;
+    g /= 255;
+    b /= 255;
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const l = (max + min) / 2;
+    const d = max - min;
+    let h = 0;
+    let s = 0;
+    if (d > 0) {
+        s = d / (1 - Math.abs(2 * l - 1));
+        if (max === r) h = ((g - b) / d) % 6;
+        else if (max === g) h = (b - r) / d + 2;
+        else h = (r - g) / d + 4;
+        h = (h * 60 + 360) % 360;
+    }
+    return { h, s: s * 100, l: l * 100 };
+}
+
+function mixColor(a, b, t) {
+    return {
+        r: a.r + (b.r - a.r) * t,
+        g: a.g + (b.g - a.g) * t,
+        b: a.b + (b.b - a.b) * t,
+        a: a.a + (b.a - a.a) * t
+    };
+}
+
+function cssColor(c, alpha = c.a) {
+    return `rgba(${Math.round(c.r)}, ${Math.round(c.g)}, ${Math.round(c.b)}, ${alpha})`;
+}
+
+function luminance(c) {
+    return (0.2126 * c.r + 0.7152 * c.g + 0.0722 * c.b) / 255;
+}
+
+// Palettes give every visual the same roles:
+//   background — base fill / paper         ink — line art and text-weight strokes
+//   shade      — dark structure (branches, lantern caps)   accent — light sources (sun, windows, lantern cores)
+//   highlight  — soft whites (clouds, stars, petal outlines)   sky — gradient stops, top to bottom
+//   colors     — the main ramp visuals sample with paletteColor(t); `cyclic` ramps wrap around like a hue wheel
+// Any role a custom palette leaves out is derived from its colors.
+function normalizePalette(def) {
+    if (!def.colors || !def.colors.length) {
+        throw new Error(`Palette "${def.id || def.name}" needs at least one color`);
+    }
+    const colors = def.colors.map(parseColor);
+    const byLight = [...colors].sort((a, b) => luminance(a) - luminance(b));
+    const black = { r: 0, g: 0, b: 0, a: 1 };
+    const white = { r: 255, g: 255, b: 255, a: 1 };
+    const background = def.background ? parseColor(def.background) : mixColor(byLight[0], black, 0.85);
+    const ink = def.ink ? parseColor(def.ink) : (luminance(background) > 0.5 ? parseColor('#1a1a1a') : parseColor('#f2f2f2'));
+    const accent = def.accent ? parseColor(def.accent) : byLight[byLight.length - 1];
+    return {
+        id: def.id,
+        name: def.name || def.id,
+        cyclic: !!def.cyclic,
+        colors,
+        background,
+        ink,
+        accent,
+        shade: def.shade ? parseColor(def.shade) : mixColor(background, ink, 0.08),
+        highlight: def.highlight ? parseColor(def.highlight) : mixColor(accent, white, 0.7),
+        sky: def.sky ? def.sky.map(parseColor) : byLight
+    };
+}
+
+// Built-in palettes. 'original' is not listed: it means "each visual's own static palette".
+// Redefine 'brand' with definePalette() to match a product's colors.
+const PALETTES = {};
+
+function definePalette(def) {
+    if (!def.id) throw new Error('Palette needs an id');
+    PALETTES[def.id] = normalizePalette(def);
+    return PALETTES[def.id];
+}
+
+[
+    {
+        id: 'monochrome', name: 'Monochrome',
+        background: '#101010', ink: '#e8e8e8', shade: '#1e1e1e', accent: '#ffffff', highlight: '#ffffff',
+        sky: ['#050505', '#1a1a1a', '#3a3a3a', '#6a6a6a', '#9a9a9a'],
+        colors: ['#404040', '#8a8a8a', '#d0d0d0']
+    },
+    {
+        id: 'pastel', name: 'Pastel', cyclic: true,
+        background: '#fbf7f2', ink: '#5a5066', shade: '#d9cfe0', accent: '#ffe3a3', highlight: '#ffffff',
+        sky: ['#cfe3f7', '#e4dcf5', '#f8d8e4', '#fde2cf', '#fff1c9'],
+        colors: ['#f7b8c8', '#c9b6f2', '#a9d8f0', '#b8ecd0', '#fbe0a8']
+    },
+    {
+        id: 'dusk', name: 'Dusk',
+        background: '#14101f', ink: '#e9d8f0', shade: '#241a33', accent: '#ffb46b', highlight: '#ffe6d5',
+        sky: ['#120e2a', '#2b1f4f', '#6b3a78', '#c45a7a', '#f29a6b'],
+        colors: ['#3b2b6e', '#7a3d8c', '#c4527a', '#f08a5d', '#f7c873']
+    },
+    {
+        id: 'ocean', name: 'Ocean',
+        background: '#03141f', ink: '#d9f1f5', shade: '#0a2633', accent: '#7ff0e0', highlight: '#eafcff',
+        sky: ['#02101a', '#06304a', '#0b5a78', '#1f93a6', '#8fe3d8'],
+        colors: ['#0b3d5c', '#127a8a', '#1fb5a8', '#7fdcc6', '#d4f5e9']
+    },
+    {
+        id: 'high-contrast', name: 'High contrast', cyclic: true,
+        background: '#000000', ink: '#ffffff', shade: '#262626', accent: '#ffff00', highlight: '#ffffff',
+        sky: ['#000000', '#000033', '#0033ff', '#ff0066', '#ffff00'],
+        colors: ['#ff0000', '#ffff00', '#00ff00', '#00ffff', '#0000ff', '#ff00ff']
+    },
+    {
+        id: 'brand', name: 'Brand',
+        background: '#0b1020', ink: '#e6ebff', shade: '#151c33', accent: '#ffc94d', highlight: '#ffffff',
+        sky: ['#0b1020', '#1a2a66', '#3355cc', '#6f8cff', '#b8c6ff'],
+        colors: ['#1a2a66', '#3355cc', '#6f8cff', '#20c5b5', '#ffc94d']
+    }
+].forEach(definePalette);
+
+// A palette option is an id, a palette definition, or null/'original' for the visual's own colors
+function resolvePalette(value, fallback) {
+    if (value == null || value === 'original') return normalizePalette(fallback);
+    if (typeof value === 'string') {
+        if (!PALETTES[value]) throw new Error(`Unknown palette "${value}"`);
+        return PALETTES[value];
+    }
+    return normalizePalette(value);
+}
+
+// Output sizes for common devices. `unsafe` marks, as fractions of the frame, what the device or app draws
+// over the background (lock-screen clock, notch, home indicator, the person in a video call); visuals keep
+// their focal elements in the largest area clear of them (BaseVisual.safeFrame).
+const SIZE_PRESETS = {};
+
+[
+    { id: 'full-hd', label: 'Full HD', category: 'Desktop', width: 1920, height: 1080, aspect: '16:9' },
+    { id: 'qhd', label: 'QHD', category: 'Desktop', width: 2560, height: 1440, aspect: '16:9' },
+    { id: '4k', label: '4K UHD', category: 'Desktop', width: 3840, height: 2160, aspect: '16:9' },
+    { id: '5k', label: '5K', category: 'Desktop', width: 5120, height: 2880, aspect: '16:9' },
+    {
+        id: 'macbook', label: 'MacBook Pro 14"', category: 'Desktop', width: 3024, height: 1964, aspect: '3:2',
+        unsafe: [{ label: 'Menu bar and notch', x: 0, y: 0, width: 1, height: 0.04 }]
+    },
+    { id: 'ultrawide', label: 'Ultrawide', category: 'Desktop', width: 3440, height: 1440, aspect: '21:9' },
+    { id: 'super-ultrawide', label: 'Super ultrawide', category: 'Desktop', width: 5120, height: 1440, aspect: '32:9' },
+    {
+        id: 'iphone', label: 'iPhone', category: 'Phone', width: 1179, height: 2556, aspect: '19.5:9',
+        unsafe: [
+            { label: 'Dynamic Island and clock', x: 0, y: 0, width: 1, height: 0.3 },
+            { label: 'Home indicator', x: 0, y: 0.95, width: 1, height: 0.05 }
+        ]
+    },
+    {
+        id: 'android', label: 'Android phone', category: 'Phone', width: 1080, height: 2400, aspect: '20:9',
+        unsafe: [
+            { label: 'Camera and clock', x: 0, y: 0, width: 1, height: 0.26 },
+            { label: 'Navigation bar', x: 0, y: 0.95, width: 1, height: 0.05 }
+        ]
+    },
+    {
+        id: 'ipad', label: 'iPad portrait', category: 'Tablet', width: 2048, height: 2732, aspect: '3:4',
+        unsafe: [{ label: 'Clock', x: 0, y: 0, width: 1, height: 0.22 }]
+    },
+    {
+        id: 'ipad-landscape', label: 'iPad landscape', category: 'Tablet', width: 2732, height: 2048, aspect: '4:3',
+        unsafe: [{ label: 'Clock', x: 0, y: 0, width: 1, height: 0.28 }]
+    },
+    {
+        id: 'video-call', label: 'Video call', category: 'Video call', width: 1920, height: 1080, aspect: '16:9',
+        unsafe: [
+            { label: 'Participant', x: 0.25, y: 0.12, width: 0.5, height: 0.88 },
+            { label: 'Name and controls', x: 0, y: 0.88, width: 1, height: 0.12 }
+        ]
+    },
+    {
+        id: 'video-call-720p', label: 'Video call (720p)', category: 'Video call', width: 1280, height: 720, aspect: '16:9',
+        unsafe: [
+            { label: 'Participant', x: 0.25, y: 0.12, width: 0.5, height: 0.88 },
+            { label: 'Name and controls', x: 0, y: 0.88, width: 1, height: 0.12 }
+        ]
+    }
+].forEach(def => { SIZE_PRESETS[def.id] = { unsafe: [], ...def }; });
+
+// Largest rectangle of a width × height scene overlapping none of the unsafe rectangles (fractions of the
+// scene), in scene pixels. An optimal rectangle has every side on a scene or obstacle edge, so trying those
+// edges is exhaustive; presets have few enough rectangles for that to be cheap. The whole scene when nothing
+// is unsafe (or nothing is left).
+function largestSafeRect(width, height, unsafe = []) {
+    if (!unsafe.length) return { x: 0, y: 0, width, height };
+    const rects = unsafe.map(r => ({ x0: r.x * width, y0: r.y * height, x1: (r.x + r.width) * width, y1: (r.y + r.height) * height }));
+    const edges = (size, a, b) => [...new Set([0, size, ...rects.flatMap(r => [r[a], r[b]])])]
+        .filter(v => v >= 0 && v <= size)
+        .sort((p, q) => p - q);
+    const xs = edges(width, 'x0', 'x1');
+    const ys = edges(height, 'y0', 'y1');
+    let best = null;
+    let bestArea = 0;
+    for (let i = 0; i < xs.length; i++) {
+        for (let j = i + 1; j < xs.length; j++) {
+            for (let k = 0; k < ys.length; k++) {
+                for (let l = k + 1; l < ys.length; l++) {
+                    const area = (xs[j] - xs[i]) * (ys[l] - ys[k]);
+                    if (area <= bestArea) continue;
+                    if (rects.some(r => r.x0 < xs[j] && r.x1 > xs[i] && r.y0 < ys[l] && r.y1 > ys[k])) continue;
+                    best = { x: xs[i], y: ys[k], width: xs[j] - xs[i], height: ys[l] - ys[k] };
+                    bestArea = area;
+                }
+            }
+        }
+    }
+    return best || { x: 0, y: 0, width, height };
+}
+
+// Parameter schemas: each visual class declares `static params = { key: definition }` where a definition is
+//   { type: 'number' | 'boolean' | 'select', label, default, min, max, step, options: [{ value, label }], reinit }
+// `reinit` names the init method(s) to rerun when the value changes; without it the value is read live.
+function coerceParam(def, value) {
+    if (def.type === 'boolean') {
+        return value === true || value === 1 || value === 'true' || value === '1';
+    }
+    if (def.type === 'select') {
+        return def.options.some(o => o.value === String(value)) ? String(value) : def.default;
+    }
+    const n = Number(value);
+    if (value === '' || value == null || !isFinite(n)) return def.default;
+    const clamped = Math.min(def.max, Math.max(def.min, n));
+    return def.step >= 1 ? Math.round(clamped) : clamped;
+}
+
+function resolveParams(schema, values = {}) {
+    const params = {};
+    Object.entries(schema).forEach(([key, def]) => {
+        params[key] = values[key] != null ? coerceParam(def, values[key]) : def.default;
+    });
+    return params;
+}
+
+// Quality levels run from full (0) to cheapest; each lists only what it changes from the level before, so
+// level n is levels 0..n merged. `resolution` (fraction of the full backing store) is read by whoever sizes
+// the canvas; everything else is up to the visual. Out-of-range levels clamp.
+function resolveQuality(levels, level) {
+    const last = Math.max(0, Math.min(levels.length - 1, Math.floor(level) || 0));
+    return Object.assign({ resolution: 1 }, ...levels.slice(0, last + 1));
+}
+
+class BaseVisual {
+    static params = {};
+    // The visual's own colors, used when no palette (or 'original') is chosen
+    static palette = { id: 'original', colors: ['#888888'] };
+    // What each quality level changes (see resolveQuality); visuals with costlier parts add their own steps
+    // before the resolution drops
+    static qualityLevels = [{}, { resolution: 0.75 }, { resolution: 0.5 }];
+    
+    // options.width/height give the scene size when it differs from the canvas (e.g. a small preview canvas
+    // drawing a full-size scene through a scaled context); by default the scene is the canvas.
+    // options.unsafe lists areas covered on the target device (see SIZE_PRESETS).
+    constructor(canvas, ctx, options = {}) {
+        this.canvas = canvas;
+        this.ctx = ctx;
+        this.width = options.width || canvas.width;
+        this.height = options.height || canvas.height;
+        this.time = 0;
+        this.scale = visualScale(this.width, this.height);
+        this.seed = options.seed != null ? normalizeSeed(options.seed) : randomSeed();
+        this.random = createRandom(this.seed);
+        this.params = resolveParams(this.constructor.params, options.params);
+        this.palette = resolvePalette(options.palette, this.constructor.palette);
+        this.clock = options.clock || Date.now;
+        this.loop = options.loop || false;
+        this.unsafe = options.unsafe || [];
+        this.audio = SILENCE;
+        this.beatsSeen = 0;
+        this.pointers = [];
+        this.qualityLevel = 0;
+        this.quality = resolveQuality(this.constructor.qualityLevels, 0);
+    }
+    
+    // Where focal elements go: the largest part of the scene clear of this.unsafe. Visuals lay out in this
+    // frame and follow its aspect, so portrait and partly covered outputs reflow instead of cropping.
+    safeFrame() {
+        return largestSafeRect(this.width, this.height, this.unsafe);
+    }
+    
+    // Wall-clock time for live modes. options.clock (returning a Date or epoch ms) replaces the real clock,
+    // so any time of day can be previewed or tested.
+    now() {
+        return new Date(+this.clock());
+    }
+    
+    setPalette(palette) {
+        this.palette = resolvePalette(palette, this.constructor.palette);
+    }
+    
+    // Audio features for the coming frames (see AudioAnalysis); null is silence
+    setAudio(features) {
+        this.audio = features || SILENCE;
+    }
+    
+    // Beat onsets heard since the last call, for one-off reactions; call it once per update
+    newBeats() {
+        const beats = this.audio.beats - this.beatsSeen;
+        this.beatsSeen = this.audio.beats;
+        return Math.max(0, beats);
+    }
+    
+    // Lower levels trade detail for speed when frames run over budget (QualityGovernor in app.js)
+    setQualityLevel(level) {
+        const levels = this.constructor.qualityLevels;
+        this.qualityLevel = Math.max(0, Math.min(levels.length - 1, level));
+        this.quality = resolveQuality(levels, this.qualityLevel);
+    }
+    
+    // Interactive mode: the pointers (mouse, pen, touches) over the scene for the coming frames, each
+    // { id, x, y, vx, vy, down } in scene pixels and pixels per second. Empty when not interactive.
+    setPointers(pointers) {
+        this.pointers = pointers || [];
+    }
+    
+    // The pointer closest to (x, y), or null when there is none
+    nearestPointer(x, y) {
+        let nearest = null;
+        let best = Infinity;
+        this.pointers.forEach(pointer => {
+            const d = (pointer.x - x) * (pointer.x - x) + (pointer.y - y) * (pointer.y - y);
+            if (d < best) {
+                best = d;
+                nearest = pointer;
+            }
+        });
+        return nearest;
+    }
+    
+    // Samples the palette's color ramp at t in [0, 1] (wrapping for cyclic palettes)
+    paletteColor(t) {
+        const colors = this.palette.colors;
+        if (colors.length === 1) return colors[0];
+        const cyclic = this.palette.cyclic;
+        const n = cyclic ? colors.length : colors.length - 1;
+        const x = (cyclic ? ((t % 1) + 1) % 1 : Math.max(0, Math.min(1, t))) * n;
+        const i = Math.min(Math.floor(x), n - 1);
+        return mixColor(colors[i], colors[(i + 1) % colors.length], x - i);
+    }
+    
+    // Same as paletteColor but as { h, s, l } so visuals can keep their own lightness structure
+    paletteHsl(t) {
+        return rgbToHsl(this.paletteColor(t));
+    }
+    
+    // Vertical gradient through the palette's sky stops (or the given ones), evenly spaced from y0 to y1
+    skyGradient(y0, y1, stops = this.palette.sky) {
+        const gradient = this.ctx.createLinearGradient(0, y0, 0, y1);
+        stops.forEach((c, i) => gradient.addColorStop(stops.length > 1 ? i / (stops.length - 1) : 0, cssColor(c)));
+        return gradient;
+    }
+    
+    // Live parameter change; reruns only the init methods the schema names (re-seeded, so the result
+    // matches a scene built with that value from the start as far as that init is concerned)
+    setParam(key, value) {
+        const def = this.constructor.params[key];
+        if (!def) return;
+        const next = coerceParam(def, value);
+        if (next === this.params[key]) return;
+        this.params[key] = next;
+        if (def.reinit) {
+            this.random = createRandom(this.seed);
+            [].concat(def.reinit).forEach(method => this[method]());
+        }
+    }
+    
+    // Loop mode (options.loop) bends the visual's motion to repeat exactly, so a clip of one loop plays on
+    // repeat without a jump. options.loop is true for the visual's own loopPeriod() or a length in seconds.
+    // Visuals that can loop return their natural period here and pass their rates through loopRate().
+    loopPeriod() {
+        return null;
+    }
+    
+    // The loop being played in seconds, or null when not looping (or the visual can't)
+    loopLength() {
+        const period = this.loop ? this.loopPeriod() : null;
+        if (!period) return null;
+        return this.loop === true ? period : this.loop;
+    }
+    
+    // Snaps a rate (per second, `cycle` units to a full cycle: radians by default) to the nearest whole
+    // number of cycles per loop; rates pass through unchanged outside loop mode
+    loopRate(rate, cycle = Math.PI * 2) {
+        const length = this.loopLength();
+        if (!length || !rate) return rate;
+        const cycles = Math.max(1, Math.round(Math.abs(rate) * length / cycle));
+        return Math.sign(rate) * cycles * cycle / length;
+    }
+    
+    resize(width, height) {
+        this.width = width;
+        this.height = height;
+        this.scale = visualScale(width, height);
+        // Re-seed so a re-initialized scene matches a fresh one at this size
+        this.random = createRandom(this.seed);
+    }
+    
+    // dt is elapsed time in seconds; subclasses scale all motion by it
+    update(dt = FRAME_STEP) {
+        this.time += dt;
+    }
+    
+    render() {
+        // Override in subclasses
+    }
+}
+
+// Mosaic Visual — low-poly triangulated mesh (no external deps), gradient colors, moving
+class MosaicVisual extends BaseVisual {
+    static params = {
+        cellSize: { type: 'number', label: 'Cell size', min: 16, max: 120, step: 1, default: 48, reinit: 'initMesh' },
+        jitter: { type: 'number', label: 'Jitter', min: 0, max: 0.9, step: 0.05, default: 0.45, reinit: 'initMesh' },
+        wobble: { type: 'number', label: 'Wobble', min: 0, max: 3, step: 0.1, default: 1 },
+        hueSpeed: { type: 'number', label: 'Hue drift (°/s)', min: 0, max: 60, step: 1, default: 14 }
+    };
+    static palette = {
+        id: 'original', cyclic: true, background: '#0a0a12',
+        colors: ['hsl(0, 80%, 50%)', 'hsl(60, 80%, 50%)', 'hsl(120, 80%, 50%)', 'hsl(180, 80%, 50%)', 'hsl(240, 80%, 50%)', 'hsl(300, 80%, 50%)']
+    };
+    
+    constructor(canvas, ctx, options) {
+        super(canvas, ctx, options);
+        this.grid = [];
+        this.initMesh();
+    }
+    
+    initMesh() {
+        const s = this.scale;
+        const cellSize = this.params.cellSize * s;
+        const jitter = this.params.jitter;
+        this.grid = [];
+        const cols = Math.ceil(this.width / cellSize) + 2;
+        const rows = Math.ceil(this.height / cellSize) + 2;
+        
+        for (let row = 0; row < rows; row++) {
+            const r = [];
+            for (let col = 0; col < cols; col++) {
+                const jx = (this.random() - 0.5) * cellSize * jitter;
+                const jy = (this.random() - 0.5) * cellSize * jitter;
+                r.push({
+                    x0: col * cellSize + jx - cellSize * 0.5,
+                    y0: row * cellSize + jy - cellSize * 0.5,
+                    x: 0,
+                    y: 0,
+                    phase: this.random() * Math.PI * 2,
+                    phaseY: this.random() * Math.PI * 2,
+                    amp: (4 + this.random() * 10) * s
+                });
+            }
+            this.grid.push(r);
+        }
+    }
+    
+    // One hue cycle, or the horizontal wobble when the hue stands still
+    loopPeriod() {
+        return this.params.hueSpeed > 0 ? 360 / this.params.hueSpeed : Math.PI * 2 / 0.2;
+    }
+    
+    update(dt = FRAME_STEP) {
+        super.update(dt);
+        const tx = this.time * this.loopRate(0.2);
+        const ty = this.time * this.loopRate(0.16);
+        const wobbleScale = this.params.wobble;
+        for (let row = 0; row < this.grid.length; row++) {
+            for (let col = 0; col < this.grid[row].length; col++) {
+                const p = this.grid[row][col];
+                p.x = p.x0 + p.amp * Math.sin(tx + p.phase) * wobbleScale;
+                p.y = p.y0 + p.amp * Math.cos(ty + p.phaseY) * wobbleScale;
+            }
+        }
+    }
+    
+    render() {
+        this.ctx.fillStyle = cssColor(this.palette.background);
+        this.ctx.fillRect(0, 0, this.width, this.height);
+        
+        const hueOffset = (this.time * this.loopRate(this.params.hueSpeed, 360)) % 360;
+        const shimmer = this.time * this.loopRate(0.5);
+        
+        for (let row = 0; row < this.grid.length - 1; row++) {
+            for (let col = 0; col < this.grid[row].length - 1; col++) {
+                const p00 = this.grid[row][col];
+                const p10 = this.grid[row][col + 1];
+                const p01 = this.grid[row + 1][col];
+                const p11 = this.grid[row + 1][col + 1];
+                
+                const flip = (row + col) % 2 === 0;
+                const tri1 = flip ? [p00, p10, p11] : [p00, p10, p01];
+                const tri2 = flip ? [p00, p11, p01] : [p10, p11, p01];
+                
+                this.drawTriangle(tri1, hueOffset, shimmer, row * (this.grid[row].length - 1) + col);
+                this.drawTriangle(tri2, hueOffset, shimmer, row * (this.grid[row].length - 1) + col + 1);
+            }
+        }
+    }
+    
+    drawTriangle(pts, hueOffset, shimmer, seed) {
+        const [a, b, c] = pts;
+        const cx = (a.x + b.x + c.x) / 3;
+        const cy = (a.y + b.y + c.y) / 3;
+        
+        const nx = Math.max(0, Math.min(1, cx / this.width));
+        const ny = Math.max(0, Math.min(1, cy / this.height));
+        const tone = this.paletteHsl(((hueOffset + (nx * 0.35 + ny * 0.65) * 300 + seed * 2) % 360) / 360);
+        const hue = tone.h;
+        const sat = Math.min(100, tone.s * (0.875 + (seed % 3) * 0.125));
+        const light = tone.l - 10 + (Math.sin(shimmer + seed * 0.2) * 0.5 + 0.5) * 25;
+        
+        this.ctx.beginPath();
+        this.ctx.moveTo(a.x, a.y);
+        this.ctx.lineTo(b.x, b.y);
+        this.ctx.lineTo(c.x, c.y);
+        this.ctx.closePath();
+        this.ctx.fillStyle = `hsl(${hue}, ${sat}%, ${light}%)`;
+        this.ctx.fill();
+        this.ctx.strokeStyle = `hsla(${hue}, ${sat}%, ${light * 0.75}%, 0.4)`;
+        this.ctx.lineWidth = 1;
+        this.ctx.stroke();
+    }
+    
+    resize(width, height) {
+        super.resize(width, height);
+        this.initMesh();
+    }
+}
+
+// Smoke Visual
+class SmokeVisual extends BaseVisual {
+    static params = {
+        density: { type: 'number', label: 'Density', min: 0.25, max: 3, step: 0.05, default: 1, reinit: 'initParticles' },
+        rise: { type: 'number', label: 'Rise speed', min: 0, max: 3, step: 0.1, default: 1 },
+        opacity: { type: 'number', label: 'Opacity', min: 0.1, max: 2, step: 0.05, default: 1 }
+    };
+    static palette = { id: 'original', background: '#0a0a0a', colors: ['hsl(240, 18%, 65%)'] };
+    // `particles` is the share of particles in play; the rest are left where they are until it comes back up
+    static qualityLevels = [
+        { particles: 1 },
+        { particles: 0.7 },
+        { particles: 0.45 },
+        { resolution: 0.75 },
+        { particles: 0.3, resolution: 0.5 }
+    ];
+    
+    constructor(canvas, ctx, options) {
+        super(canvas, ctx, options);
+        this.particles = [];
+        this.initParticles();
+    }
+    
+    activeParticles() {
+        const share = this.quality.particles;
+        return share < 1 ? this.particles.slice(0, Math.ceil(this.particles.length * share)) : this.particles;
+    }
+    
+    initParticles() {
+        const s = this.scale;
+        const count = Math.round(Math.min(80, Math.max(50, Math.floor(50 * s))) * this.params.density);
+        this.particles = [];
+        for (let i = 0; i < count; i++) {
+            this.particles.push({
+                x: this.random() * this.width,
+                y: this.height + this.random() * 200 * s,
+                vx: (this.random() - 0.5) * 30,
+                vy: -30 - this.random() * 90,
+                size: (20 + this.random() * 80) * s,
+                opacity: 0.1 + this.random() * 0.3,
+                life: this.random(),
+                tint: this.random(),
+                pushX: 0,
+                pushY: 0
+            });
+        }
+    }
+    
+    update(dt = FRAME_STEP) {
+        super.update(dt);
+        const s = this.scale;
+        const fade = Math.pow(0.887, dt);
+        const grow = Math.pow(1.062, dt);
+        const drag = Math.exp(-dt * 1.5);
+        const particles = this.activeParticles();
+        particles.forEach(p => {
+            this.pushParticle(p, dt, drag);
+            p.x += (p.vx + Math.sin(this.time + p.life) * 18 + p.pushX) * dt;
+            p.y += (p.vy * this.params.rise * (1 + this.audio.bass * 0.8) + p.pushY) * dt;
+            p.opacity *= fade;
+            p.size *= grow;
+            
+            if (p.y < -p.size || p.opacity < 0.01) {
+                this.respawn(p);
+            }
+        });
+        
+        // Each beat puffs a fresh batch out of the base: the faintest particles start over there
+        if (this.newBeats()) {
+            const faintest = particles.slice().sort((a, b) => a.opacity - b.opacity);
+            faintest.slice(0, Math.ceil(faintest.length * 0.1)).forEach(p => this.respawn(p, this.audio.bass * 0.15));
+        }
+    }
+    
+    // Interactive mode: pointers stir the smoke. Around each one the air moves with the pointer and parts
+    // for it, more the faster it goes, fading out over about a puff's width; the push dies down with drag.
+    pushParticle(p, dt, drag) {
+        p.pushX *= drag;
+        p.pushY *= drag;
+        this.pointers.forEach(pointer => {
+            const dx = p.x - pointer.x;
+            const dy = p.y - pointer.y;
+            const reach = 60 * this.scale + p.size * 0.5;
+            const falloff = Math.exp(-(dx * dx + dy * dy) / (reach * reach));
+            if (falloff < 0.01) return;
+            const d = Math.hypot(dx, dy) || 1;
+            const away = 20 * this.scale + Math.hypot(pointer.vx, pointer.vy) * 0.8;
+            p.pushX += (pointer.vx * 1.5 + dx / d * away) * falloff * dt;
+            p.pushY += (pointer.vy * 1.5 + dy / d * away) * falloff * dt;
+        });
+    }
+    
+    respawn(p, boost = 0) {
+        const s = this.scale;
+        p.x = this.random() * this.width;
+        p.y = this.height + this.random() * 100 * s;
+        p.opacity = 0.2 + this.random() * 0.3 + boost;
+        p.size = (20 + this.random() * 80) * s;
+    }
+    
+    render() {
+        this.ctx.fillStyle = cssColor(this.palette.background);
+        this.ctx.fillRect(0, 0, this.width, this.height);
+        
+        const loudness = 1 + this.audio.level * 0.4 + this.audio.beat * 0.3;
+        this.activeParticles().forEach(p => {
+            const opacity = Math.min(1, p.opacity * this.params.opacity * loudness);
+            const c = this.paletteHsl(p.tint);
+            const gradient = this.ctx.createRadialGradient(p.x, p.y, 0, p.x, p.y, p.size);
+            gradient.addColorStop(0, `hsla(${c.h}, ${c.s}%, ${Math.min(100, c.l + 17)}%, ${opacity})`);
+            gradient.addColorStop(0.5, `hsla(${c.h}, ${c.s}%, ${c.l}%, ${opacity * 0.5})`);
+            gradient.addColorStop(1, `hsla(${c.h}, ${c.s}%, ${Math.max(0, c.l - 18)}%, 0)`);
+            
+            this.ctx.fillStyle = gradient;
+            this.ctx.beginPath();
+            this.ctx.arc(p.x, p.y, p.size, 0, Math.PI * 2);
+            this.ctx.fill();
+        });
+    }
+    
+    resize(width, height) {
+        super.resize(width, height);
+        this.initParticles();
+    }
+}
+
+// Light and Shade Visual
+class LightShadeVisual extends BaseVisual {
+    static params = {
+        density: { type: 'number', label: 'Lights', min: 0.25, max: 3, step: 0.05, default: 1, reinit: 'initLights' },
+        radius: { type: 'number', label: 'Radius', min: 0.25, max: 3, step: 0.05, default: 1 },
+        drift: { type: 'number', label: 'Drift speed', min: 0, max: 4, step: 0.1, default: 1 },
+        hueSpeed: { type: 'number', label: 'Hue drift (°/s)', min: 0, max: 120, step: 1, default: 30 }
+    };
+    static palette = {
+        id: 'original', cyclic: true, background: '#050505',
+        colors: ['hsl(0, 70%, 60%)', 'hsl(60, 70%, 60%)', 'hsl(120, 70%, 60%)', 'hsl(180, 70%, 60%)', 'hsl(240, 70%, 60%)', 'hsl(300, 70%, 60%)']
+    };
+    
+    constructor(canvas, ctx, options) {
+        super(canvas, ctx, options);
+        this.lights = [];
+        this.initLights();
+    }
+    
+    initLights() {
+        const s = this.scale;
+        const count = Math.max(1, Math.round(Math.min(12, Math.max(5, Math.floor(5 * s))) * this.params.density));
+        this.lights = [];
+        for (let i = 0; i < count; i++) {
+            this.lights.push({
+                x: this.random() * this.width,
+                y: this.random() * this.height,
+                radius: (100 + this.random() * 200) * s,
+                speedX: (this.random() - 0.5) * 120,
+                speedY: (this.random() - 0.5) * 120,
+                hue: this.random() * 360
+            });
+        }
+    }
+    
+    update(dt = FRAME_STEP) {
+        super.update(dt);
+        this.lights.forEach(light => {
+            light.x += light.speedX * this.params.drift * dt;
+            light.y += light.speedY * this.params.drift * dt;
+            this.attractLight(light, dt);
+            light.hue = (light.hue + (this.params.hueSpeed + this.audio.treble * 120) * dt) % 360;
+            
+            if (light.x < 0) light.speedX = Math.abs(light.speedX);
+            if (light.x > this.width) light.speedX = -Math.abs(light.speedX);
+            if (light.y < 0) light.speedY = Math.abs(light.speedY);
+            if (light.y > this.height) light.speedY = -Math.abs(light.speedY);
+        });
+    }
+    
+    // Interactive mode: lights drift toward the nearest pointer, the closer ones faster, and gather around it
+    // (kept apart by their own drift) until it goes away
+    attractLight(light, dt) {
+        const pointer = this.nearestPointer(light.x, light.y);
+        if (!pointer) return;
+        const dx = pointer.x - light.x;
+        const dy = pointer.y - light.y;
+        const d = Math.hypot(dx, dy);
+        const gather = light.radius * 0.3;
+        if (d <= gather) return;
+        const range = 400 * this.scale;
+        const pull = (1 - Math.exp(-dt * 1.2 / (1 + d * d / (range * range)))) * (d - gather) / d;
+        light.x += dx * pull;
+        light.y += dy * pull;
+    }
+    
+    render() {
+        // Dark base
+        this.ctx.fillStyle = cssColor(this.palette.background);
+        this.ctx.fillRect(0, 0, this.width, this.height);
+        
+        // Draw lights with shadows; they swell with the bass and shift hue on the beat
+        const { bass, beat } = this.audio;
+        this.lights.forEach(light => {
+            const radius = light.radius * this.params.radius * (1 + bass * 0.5 + beat * 0.2);
+            const gradient = this.ctx.createRadialGradient(
+                light.x, light.y, 0,
+                light.x, light.y, radius
+            );
+            const c = this.paletteHsl((light.hue + beat * 40) / 360);
+            gradient.addColorStop(0, `hsla(${c.h}, ${c.s}%, ${c.l}%, 0.8)`);
+            gradient.addColorStop(0.5, `hsla(${c.h}, ${Math.max(0, c.s - 10)}%, ${Math.max(0, c.l - 10)}%, 0.3)`);
+            gradient.addColorStop(1, 'transparent');
+            
+            this.ctx.fillStyle = gradient;
+            this.ctx.beginPath();
+            this.ctx.arc(light.x, light.y, radius, 0, Math.PI * 2);
+            this.ctx.fill();
+        });
+    }
+    
+    resize(width, height) {
+        super.resize(width, height);
+        this.initLights();
+    }
+}
+
+// Lanterns Visual — Chinese lanterns; depth-sorted with branches and beams so they pass in/out
+class LanternsVisual extends BaseVisual {
+    static params = {
+        density: { type: 'number', label: 'Lanterns', min: 0.25, max: 3, step: 0.05, default: 1, reinit: 'initLanterns' },
+        sizeScale: { type: 'number', label: 'Lantern size', min: 0.25, max: 1.5, step: 0.01, default: 0.58, reinit: 'initLanterns' },
+        rise: { type: 'number', label: 'Rise speed', min: 0, max: 4, step: 0.1, default: 1 },
+        branches: { type: 'boolean', label: 'Branches', default: true },
+        foliage: { type: 'number', label: 'Foliage', min: 0, max: 2, step: 0.1, default: 1, reinit: 'initObstructions' }
+    };
+    static palette = {
+        id: 'original', background: '#080810', shade: 'rgb(28, 22, 18)', accent: 'hsl(40, 65%, 70%)',
+        colors: ['hsl(0, 94%, 52%)', 'hsl(14, 94%, 52%)']
+    };
+    // ribs: paper ribs per lantern, drawn as curves of ribStep-spaced points; spill and halo: the two glow
+    // gradients around each lantern; tint: lantern light on the branches behind
+    static qualityLevels = [
+        { ribs: 10, ribStep: 0.05, spill: true, halo: true, tint: true },
+        { ribs: 6, ribStep: 0.11 },
+        { ribs: 4, spill: false, tint: false },
+        { ribs: 0, halo: false },
+        { resolution: 0.75 },
+        { resolution: 0.5 }
+    ];
+    // Tones of lantern light on branches, from unlit to fully lit
+    static LIGHT_STEPS = 6;
+    
+    constructor(canvas, ctx, options) {
+        super(canvas, ctx, options);
+        this.lanterns = [];
+        this.obstructions = [];
+        this.initLanterns();
+        this.initObstructions();
+    }
+    
+    initLanterns() {
+        const s = this.scale;
+        const count = Math.max(1, Math.round(Math.min(14, Math.max(5, Math.floor(6 * s))) * this.params.density));
+        const sizeScale = this.params.sizeScale;
+        this.lanterns = [];
+        for (let i = 0; i < count; i++) {
+            this.lanterns.push({
+                x: this.random() * this.width,
+                y: this.random() * this.height,
+                radius: (28 + this.random() * 38) * s * sizeScale,
+                swing: this.random() * Math.PI * 2,
+                swingSpeed: 0.009 + this.random() * 0.021,
+                floatSpeed: (0.24 + this.random() * 0.54) * s,
+                swayAmount: 2.4 + this.random() * 4.8,
+                hue: 0 + this.random() * 14,
+                sat: 88 + this.random() * 12,
+                ribOffset: this.random() * Math.PI,
+                nudgeX: 0,
+                nudgeY: 0
+            });
+        }
+    }
+    
+    // A canopy of limbs reaching in from the edges of the scene, each grown by growBranch() into forks, twigs and
+    // leaf clusters. Limbs sit at different depths, so lanterns pass in front of some and behind others, and
+    // come in more from the top in landscape and from the sides in portrait. Branches and leaves draw from
+    // their own streams of the seed: the lanterns don't shift the canopy, and changing foliage keeps the limbs.
+    initObstructions() {
+        const w = this.width;
+        const h = this.height;
+        const s = this.scale;
+        this.branchRandom = createRandom(this.seed + 2);
+        this.leafRandom = createRandom(this.seed + 3);
+        this.obstructions = [];
+        
+        const random = this.branchRandom;
+        const count = 4 + Math.floor(random() * 3);
+        const edges = [
+            { weight: w, anchor: () => ({ x: random() * w, y: -h * 0.04, angle: Math.PI / 2 + (random() - 0.5) * 1.4 }) },
+            { weight: h * 0.7, anchor: () => ({ x: -w * 0.04, y: random() * h * 0.8, angle: (random() - 0.6) * 1.1 }) },
+            { weight: h * 0.7, anchor: () => ({ x: w * 1.04, y: random() * h * 0.8, angle: Math.PI - (random() - 0.6) * 1.1 }) }
+        ];
+        const total = edges.reduce((sum, edge) => sum + edge.weight, 0);
+        for (let i = 0; i < count; i++) {
+            // Depths spread evenly with jitter; nearer limbs are longer and thicker
+            const depth = 0.18 + ((i + random()) / count) * 0.6;
+            const near = 0.6 + depth * 0.8;
+            let pick = random() * total;
+            const edge = edges.find(e => (pick -= e.weight) < 0) || edges[0];
+            const { x, y, angle } = edge.anchor();
+            const limb = {
+                type: 'branch', depth, levels: [], leaves: [], leafSize: (8 + random() * 5) * s * near,
+                bounds: [Infinity, Infinity, -Infinity, -Infinity]
+            };
+            const length = Math.min(w, h) * (0.16 + random() * 0.08) * near;
+            const width = (9 + random() * 6) * s * near;
+            this.growBranch(limb, x, y, angle, length, width, 0, 3 + Math.floor(random() * 3));
+            this.obstructions.push(limb);
+        }
+    }
+    
+    // One segment (a gently bent curve), then its twigs and either forks or, at the last level, a leaf
+    // cluster. Segments are kept by level, since a level shares one stroke width; twigs go in the level past
+    // the last fork.
+    growBranch(limb, x, y, angle, length, width, level, lastLevel) {
+        const random = this.branchRandom;
+        const bend = (random() - 0.5) * 0.6;
+        const cx = x + Math.cos(angle + bend) * length * 0.5;
+        const cy = y + Math.sin(angle + bend) * length * 0.5;
+        const x1 = x + Math.cos(angle) * length;
+        const y1 = y + Math.sin(angle) * length;
+        this.addSegment(limb, level, width, x, y, cx, cy, x1, y1);
+        
+        if (level >= 2) {
+            const twigs = Math.floor(random() * 3);
+            for (let i = 0; i < twigs; i++) {
+                // Off a point along the curve, to one side
+                const t = 0.3 + random() * 0.5;
+                const tx = (1 - t) * (1 - t) * x + 2 * (1 - t) * t * cx + t * t * x1;
+                const ty = (1 - t) * (1 - t) * y + 2 * (1 - t) * t * cy + t * t * y1;
+                const ta = angle + (random() < 0.5 ? -1 : 1) * (0.6 + random() * 0.6);
+                const tl = length * (0.2 + random() * 0.15);
+                const ex = tx + Math.cos(ta) * tl;
+                const ey = ty + Math.sin(ta) * tl;
+                this.addSegment(limb, lastLevel + 1, width * 0.35, tx, ty, (tx + ex) / 2, (ty + ey) / 2, ex, ey);
+                this.addLeaves(limb, ex, ey, ta, 0.7, 2);
+            }
+        }
+        
+        // Children carry on from the curve's end direction, drooping a little
+        const end = Math.atan2(y1 - cy, x1 - cx);
+        if (level === lastLevel) {
+            this.addLeaves(limb, x1, y1, end, 1, 4);
+            return;
+        }
+        const forks = level < 2 && random() < 0.3 ? 3 : 2;
+        const spread = 0.7 + random() * 0.5;
+        for (let i = 0; i < forks; i++) {
+            const turn = (i / (forks - 1) - 0.5) * spread + (random() - 0.5) * 0.2 + Math.cos(end) * 0.12;
+            this.growBranch(limb, x1, y1, end + turn, length * (0.6 + random() * 0.2), width * 0.62, level + 1, lastLevel);
+        }
+    }
+    
+    addSegment(limb, level, width, x0, y0, cx, cy, x1, y1) {
+        if (!limb.levels[level]) limb.levels[level] = { width, segments: [] };
+        const pad = width / 2;
+        const box = [
+            Math.min(x0, cx, x1) - pad, Math.min(y0, cy, y1) - pad,
+            Math.max(x0, cx, x1) + pad, Math.max(y0, cy, y1) + pad
+        ];
+        limb.levels[level].segments.push({ x0, y0, cx, cy, x1, y1, box });
+        limb.bounds = [
+            Math.min(limb.bounds[0], box[0]), Math.min(limb.bounds[1], box[1]),
+            Math.max(limb.bounds[2], box[2]), Math.max(limb.bounds[3], box[3])
+        ];
+    }
+    
+    // A cluster of about `count` leaves (times the foliage param) fanned out ahead of a tip, `size` times the
+    // limb's leaf size. Each leaf is a point at the tip and two curved sides back to its stem.
+    addLeaves(limb, x, y, angle, size, count) {
+        const random = this.leafRandom;
+        size *= limb.leafSize;
+        const n = Math.round(count * (1 + random()) * this.params.foliage);
+        if (!n) return;
+        const cluster = { leaves: [], box: [x - size * 2, y - size * 2, x + size * 2, y + size * 2] };
+        for (let i = 0; i < n; i++) {
+            const a = angle + (random() - 0.5) * 2.4;
+            const d = random() * size * 0.6;
+            const bx = x + Math.cos(a) * d;
+            const by = y + Math.sin(a) * d;
+            const length = size * (0.7 + random() * 0.6);
+            const heading = a + (random() - 0.5) * 0.8;
+            const half = length * (0.2 + random() * 0.1);
+            const mx = bx + Math.cos(heading) * length * 0.5;
+            const my = by + Math.sin(heading) * length * 0.5;
+            cluster.leaves.push({
+                bx, by,
+                tx: bx + Math.cos(heading) * length,
+                ty: by + Math.sin(heading) * length,
+                lx: mx - Math.sin(heading) * half,
+                ly: my + Math.cos(heading) * half,
+                rx: mx + Math.sin(heading) * half,
+                ry: my - Math.cos(heading) * half
+            });
+        }
+        limb.leaves.push(cluster);
+    }
+    
+    update(dt = FRAME_STEP) {
+        super.update(dt);
+        const s = this.scale;
+        const drag = Math.exp(-dt * 1.2);
+        this.lanterns.forEach(lantern => {
+            this.nudgeLantern(lantern, dt, drag);
+            lantern.swing += lantern.swingSpeed * dt;
+            lantern.x += (Math.sin(lantern.swing) * lantern.swayAmount * s + lantern.nudgeX) * dt;
+            lantern.y -= (lantern.floatSpeed * this.params.rise - lantern.nudgeY) * dt;
+            if (lantern.y < -lantern.radius * 3) {
+                lantern.y = this.height + lantern.radius * 2;
+                lantern.x = this.random() * this.width;
+            }
+        });
+    }
+    
+    // Interactive mode: a pointer touching a lantern (within its halo) pushes it away from the contact point,
+    // along with some of the pointer's own motion; it drifts on and slows back to its float
+    nudgeLantern(lantern, dt, drag) {
+        lantern.nudgeX *= drag;
+        lantern.nudgeY *= drag;
+        this.pointers.forEach(pointer => {
+            const dx = lantern.x - pointer.x;
+            const dy = lantern.y - pointer.y;
+            const reach = lantern.radius * 1.6;
+            const d = Math.hypot(dx, dy);
+            if (d >= reach) return;
+            const push = (1 - d / reach) * 900 * this.scale * dt;
+            lantern.nudgeX += (d ? dx / d : 0) * push + pointer.vx * 4 * dt;
+            lantern.nudgeY += (d ? dy / d : -1) * push + pointer.vy * 4 * dt;
+        });
+    }
+    
+    lanternDepth(lantern) {
+        const y = Math.max(-lantern.radius * 2, Math.min(this.height + lantern.radius * 2, lantern.y));
+        return 0.12 + 0.82 * (1 - (y / (this.height + lantern.radius * 4)));
+    }
+    
+    // Farther limbs fade toward the background, like night air between them. Lanterns in front light the parts
+    // of a limb within their spill (see branchGlow); each segment and leaf cluster takes the light at its middle,
+    // rounded to one of LIGHT_STEPS tones, so a limb is still only a few strokes and fills however many lanterns
+    // reach it.
+    drawObstruction(ob, lights) {
+        if (ob.type !== 'branch') return;
+        const steps = LanternsVisual.LIGHT_STEPS;
+        const color = mixColor(this.palette.shade, this.palette.background, (1 - ob.depth) * 0.35);
+        const leafColor = mixColor(color, this.palette.background, 0.15);
+        const glows = lights.map(light => this.branchGlow(ob, light)).filter(Boolean);
+        const tint = this.glowColor(glows);
+        const tone = (x, y) => {
+            let light = 0;
+            glows.forEach(glow => {
+                const d = Math.hypot(x - glow.x, y - glow.y);
+                if (d < glow.reach) light += glow.strength * (1 - d / glow.reach) * (1 - d / glow.reach);
+            });
+            return Math.round(Math.min(1, light) * steps);
+        };
+        const lit = (base, k) => cssColor(k ? mixColor(base, tint, (k / steps) * 0.6) : base, 1);
+        
+        this.ctx.lineCap = 'round';
+        this.ctx.lineJoin = 'round';
+        ob.levels.forEach(({ width, segments }) => {
+            const tones = [];
+            segments.forEach(seg => {
+                const k = tone(seg.cx, seg.cy);
+                (tones[k] = tones[k] || []).push(seg);
+            });
+            this.ctx.lineWidth = width;
+            tones.forEach((group, k) => {
+                this.ctx.strokeStyle = lit(color, k);
+                this.ctx.beginPath();
+                group.forEach(seg => {
+                    this.ctx.moveTo(seg.x0, seg.y0);
+                    this.ctx.quadraticCurveTo(seg.cx, seg.cy, seg.x1, seg.y1);
+                });
+                this.ctx.stroke();
+            });
+        });
+        this.ctx.lineCap = 'butt';
+        this.ctx.lineJoin = 'miter';
+        
+        const tones = [];
+        ob.leaves.forEach(cluster => {
+            const k = tone((cluster.box[0] + cluster.box[2]) / 2, (cluster.box[1] + cluster.box[3]) / 2);
+            (tones[k] = tones[k] || []).push(cluster);
+        });
+        tones.forEach((clusters, k) => {
+            this.ctx.fillStyle = lit(leafColor, k);
+            this.fillLeaves(clusters);
+        });
+    }
+    
+    // A few dozen leaves per fill: one path of every leaf on a limb is far slower to fill than a handful of
+    // smaller ones
+    fillLeaves(clusters) {
+        let batch = 0;
+        clusters.forEach(cluster => {
+            if (!batch) this.ctx.beginPath();
+            cluster.leaves.forEach(leaf => {
+                this.ctx.moveTo(leaf.bx, leaf.by);
+                this.ctx.quadraticCurveTo(leaf.lx, leaf.ly, leaf.tx, leaf.ty);
+                this.ctx.quadraticCurveTo(leaf.rx, leaf.ry, leaf.bx, leaf.by);
+            });
+            batch += cluster.leaves.length;
+            if (batch >= 48) {
+                this.ctx.fill();
+                batch = 0;
+            }
+        });
+        if (batch) this.ctx.fill();
+    }
+    
+    // The light a lantern in front of a limb casts on it: out to the reach of its spill, stronger the closer
+    // the two are in depth. Null when it doesn't reach the limb.
+    branchGlow(ob, { lantern, depth }) {
+        const strength = 1 - (depth - ob.depth) / 0.45;
+        const reach = lantern.radius * 3.2;
+        const [x0, y0, x1, y1] = ob.bounds;
+        if (strength <= 0 || lantern.x + reach < x0 || lantern.x - reach > x1 || lantern.y + reach < y0 || lantern.y - reach > y1) {
+            return null;
+        }
+        const { h, sat, L } = this.lanternTone(lantern);
+        return { x: lantern.x, y: lantern.y, reach, strength, color: { ...hslToRgb(h, sat, L(58)), a: 1 } };
+    }
+    
+    // One tint per limb: the lanterns' colors weighted by how strongly each lights it
+    glowColor(glows) {
+        const total = glows.reduce((sum, glow) => sum + glow.strength, 0);
+        const c = { r: 0, g: 0, b: 0, a: 1 };
+        glows.forEach(glow => {
+            c.r += glow.color.r * glow.strength / total;
+            c.g += glow.color.g * glow.strength / total;
+            c.b += glow.color.b * glow.strength / total;
+        });
+        return c;
+    }
+    
+    // Palette color for a lantern: its hue (0–14) picks along the ramp, its sat jitters the ramp's saturation,
+    // and L() shifts the original lightness stops by how much lighter or darker the palette is than 52%
+    lanternTone(lantern) {
+        const c = this.paletteHsl(lantern.hue / 14);
+        const dl = c.l - 52;
+        return {
+            h: c.h,
+            sat: Math.max(0, Math.min(100, c.s + lantern.sat - 94)),
+            L: (l) => Math.max(0, Math.min(100, l + dl))
+        };
+    }
+    
+    drawLanternLightSpill(lantern) {
+        const r = lantern.radius;
+        const { h, sat, L } = this.lanternTone(lantern);
+        const spillRadius = r * 3.2;
+        const spill = this.ctx.createRadialGradient(
+            lantern.x, lantern.y, 0,
+            lantern.x, lantern.y, spillRadius
+        );
+        spill.addColorStop(0, `hsla(${h}, ${sat}%, ${L(65)}%, 0.14)`);
+        spill.addColorStop(0.4, `hsla(${h}, ${sat}%, ${L(55)}%, 0.06)`);
+        spill.addColorStop(0.7, `hsla(${h}, ${sat}%, ${L(45)}%, 0.02)`);
+        spill.addColorStop(1, 'transparent');
+        this.ctx.fillStyle = spill;
+        this.ctx.beginPath();
+        this.ctx.arc(lantern.x, lantern.y, spillRadius, 0, Math.PI * 2);
+        this.ctx.fill();
+    }
+    
+    drawOneLantern(lantern) {
+        const tilt = Math.sin(lantern.swing) * 0.05;
+        const r = lantern.radius;
+        const { h, sat, L } = this.lanternTone(lantern);
+        const accent = rgbToHsl(this.palette.accent);
+        const hotY = -r * 0.15;
+        
+        this.ctx.save();
+        this.ctx.translate(lantern.x, lantern.y);
+        this.ctx.rotate(tilt);
+        
+        if (this.quality.halo) {
+            const halo = this.ctx.createRadialGradient(0, 0, r * 0.5, 0, 0, r * 1.8);
+            halo.addColorStop(0, `hsla(${h}, ${sat}%, ${L(55)}%, 0.12)`);
+            halo.addColorStop(0.6, `hsla(${h}, ${sat}%, ${L(45)}%, 0.04)`);
+            halo.addColorStop(1, 'transparent');
+            this.ctx.fillStyle = halo;
+            this.ctx.beginPath();
+            this.ctx.arc(0, 0, r * 1.8, 0, Math.PI * 2);
+            this.ctx.fill();
+        }
+        
+        const body = this.ctx.createRadialGradient(0, hotY, 0, 0, 0, r);
+        body.addColorStop(0, `hsla(${accent.h}, ${Math.max(0, accent.s - 5)}%, 92%, 0.98)`);
+        body.addColorStop(0.08, `hsla(${h}, ${sat}%, ${L(78)}%, 0.97)`);
+        body.addColorStop(0.2, `hsla(${h}, ${sat}%, ${L(58)}%, 0.98)`);
+        body.addColorStop(0.5, `hsla(${h}, ${sat}%, ${L(52)}%, 0.97)`);
+        body.addColorStop(0.85, `hsla(${h}, ${sat}%, ${L(48)}%, 0.96)`);
+        body.addColorStop(1, `hsla(${h}, ${sat}%, ${L(38)}%, 0.92)`);
+        this.ctx.fillStyle = body;
+        this.ctx.beginPath();
+        this.ctx.arc(0, 0, r, 0, Math.PI * 2);
+        this.ctx.fill();
+        
+        const { ribs: ribCount, ribStep } = this.quality;
+        this.ctx.strokeStyle = `hsla(${h}, ${sat}%, ${L(28)}%, 0.22)`;
+        this.ctx.lineWidth = Math.max(0.5, r * 0.012);
+        for (let i = 0; i < ribCount; i++) {
+            const a = (i / ribCount) * Math.PI * 2 + lantern.ribOffset;
+            this.ctx.beginPath();
+            for (let t = -0.88; t <= 0.88; t += ribStep) {
+                const y = t * r;
+                const x = Math.sqrt(Math.max(0, 1 - (y / r) * (y / r))) * r * Math.cos(a);
+                if (t === -0.88) this.ctx.moveTo(x, y);
+                else this.ctx.lineTo(x, y);
+            }
+            this.ctx.stroke();
+        }
+        
+        this.ctx.fillStyle = cssColor(this.palette.shade, 0.95);
+        this.ctx.beginPath();
+        this.ctx.ellipse(0, -r - r * 0.04, r * 0.46, r * 0.1, 0, 0, Math.PI * 2);
+        this.ctx.fill();
+        
+        this.ctx.strokeStyle = cssColor(this.palette.shade, 0.9);
+        this.ctx.lineWidth = Math.max(0.7, r * 0.03);
+        this.ctx.beginPath();
+        this.ctx.ellipse(0, r, r * 0.88, r * 0.05, 0, 0, Math.PI * 2);
+        this.ctx.stroke();
+        
+        const tasselY = r + r * 0.1;
+        this.ctx.strokeStyle = `hsla(${accent.h}, ${accent.s}%, 50%, 0.88)`;
+        this.ctx.lineWidth = Math.max(0.7, r * 0.03);
+        this.ctx.lineCap = 'round';
+        for (let i = 0; i < 3; i++) {
+            const angle = (i - 1) * 0.2 + tilt * 0.3;
+            const len = r * (0.4 + (i % 2) * 0.15);
+            this.ctx.beginPath();
+            this.ctx.moveTo(0, tasselY);
+            this.ctx.lineTo(Math.sin(angle) * len, tasselY + len);
+            this.ctx.stroke();
+        }
+        this.ctx.lineCap = 'butt';
+        this.ctx.restore();
+    }
+    
+    render() {
+        this.ctx.fillStyle = cssColor(this.palette.background);
+        this.ctx.fillRect(0, 0, this.width, this.height);
+        
+        const drawables = [];
+        if (this.params.branches) {
+            this.obstructions.forEach(ob => drawables.push({ depth: ob.depth, ob }));
+        }
+        const lights = this.lanterns.map(lantern => ({ lantern, depth: this.lanternDepth(lantern) }));
+        lights.forEach(light => drawables.push(light));
+        drawables.sort((a, b) => a.depth - b.depth);
+        
+        drawables.forEach(d => {
+            if (d.ob) this.drawObstruction(d.ob, this.quality.tint ? lights.filter(light => light.depth > d.ob.depth) : []);
+            else {
+                if (this.quality.spill) this.drawLanternLightSpill(d.lantern);
+                this.drawOneLantern(d.lantern);
+            }
+        });
+    }
+    
+    resize(width, height) {
+        super.resize(width, height);
+        this.initLanterns();
+        this.initObstructions();
+    }
+}
+
+// Sunset Visual — zoomed-out view (smaller sun/clouds)
+class SunsetVisual extends BaseVisual {
+    static params = {
+        zoomOut: { type: 'number', label: 'Zoom', min: 0.25, max: 1.5, step: 0.01, default: 0.58 },
+        clouds: { type: 'number', label: 'Clouds', min: 0, max: 12, step: 1, default: 5 },
+        cloudSpeed: { type: 'number', label: 'Cloud speed', min: 0, max: 4, step: 0.1, default: 1 },
+        liveTime: { type: 'boolean', label: 'Live time of day', default: false },
+        latitude: { type: 'number', label: 'Latitude (°)', min: -65, max: 65, step: 1, default: 45 }
+    };
+    static palette = {
+        id: 'original', background: '#1a1a2e', accent: '#ffd700', highlight: 'rgb(255, 248, 242)',
+        sky: ['#1a1a2e', '#16213e', '#e94560', '#ff6b6b', '#ffa500'],
+        colors: ['#e94560', '#ff6b6b', '#ffa500']
+    };
+    // Live-mode blend targets: day sky from top to horizon, and night
+    static DAY_SKY = [parseColor('#2f6fc0'), parseColor('#b4d4f0')];
+    static NIGHT_SKY = parseColor('#05070f');
+    
+    // Clouds drifting once across (plus their 200px run-out either side), else one bob of the sun. Live mode
+    // follows the wall clock and can't loop.
+    loopPeriod() {
+        if (this.params.liveTime) return null;
+        const drift = this.cloudDrift();
+        return drift > 0 ? (this.width + 400) / drift : Math.PI * 2 / 0.1;
+    }
+    
+    // Cloud speed in px/s
+    cloudDrift() {
+        return this.params.clouds > 0 ? 9.6 * this.scale * this.params.zoomOut * this.params.cloudSpeed : 0;
+    }
+    
+    // Live mode: the palette is the twilight sky; it is blended toward day blue as the sun climbs and toward
+    // night as it sinks, and the sun travels from the left (east) at sunrise to the right at sunset
+    liveSky() {
+        const { elevation, hourAngle } = sunPosition(this.now(), this.params.latitude);
+        const day = Math.max(0, Math.min(1, elevation / 20));
+        const night = Math.max(0, Math.min(1, -elevation / 12));
+        const stops = this.palette.sky;
+        const sky = stops.map((c, i) => {
+            const blue = mixColor(SunsetVisual.DAY_SKY[0], SunsetVisual.DAY_SKY[1], stops.length > 1 ? i / (stops.length - 1) : 0);
+            return mixColor(mixColor(c, blue, day * 0.8), SunsetVisual.NIGHT_SKY, night * 0.85);
+        });
+        return {
+            day,
+            night,
+            sky,
+            sunX: this.width * (0.5 + hourAngle / 225),
+            sunY: this.height * (0.75 - elevation / 100),
+            sunAlpha: Math.max(0, Math.min(1, (elevation + 3) / 6))
+        };
+    }
+    
+    render() {
+        const s = this.scale * this.params.zoomOut;
+        const live = this.params.liveTime ? this.liveSky() : null;
+        const white = { r: 255, g: 255, b: 255, a: 1 };
+        const accent = live ? mixColor(this.palette.accent, white, live.day * 0.6) : this.palette.accent;
+        const highlight = this.palette.highlight;
+        // The sun sits in the safe frame and shrinks to fit frames narrower than they are tall
+        const frame = this.safeFrame();
+        const fit = Math.min(1, frame.width / frame.height);
+        const sunY = live ? live.sunY : frame.y + frame.height * 0.3 + Math.sin(this.time * this.loopRate(0.1)) * 50 * s * fit;
+        const sunX = live ? live.sunX : frame.x + frame.width * 0.5;
+        const sunGlowR = 150 * s * fit;
+        const sunDiskR = 80 * s * fit;
+        
+        this.ctx.fillStyle = this.skyGradient(0, this.height, live ? live.sky : undefined);
+        this.ctx.fillRect(0, 0, this.width, this.height);
+        
+        this.ctx.save();
+        if (live) this.ctx.globalAlpha = live.sunAlpha;
+        const sunGradient = this.ctx.createRadialGradient(sunX, sunY, 0, sunX, sunY, sunGlowR);
+        sunGradient.addColorStop(0, cssColor(mixColor(accent, white, 0.85)));
+        sunGradient.addColorStop(0.5, cssColor(accent));
+        sunGradient.addColorStop(0.85, cssColor(mixColor(accent, highlight, 0.6), 0.25));
+        sunGradient.addColorStop(1, cssColor(highlight, 0));
+        
+        this.ctx.fillStyle = sunGradient;
+        this.ctx.beginPath();
+        this.ctx.arc(sunX, sunY, sunGlowR, 0, Math.PI * 2);
+        this.ctx.fill();
+        
+        this.ctx.fillStyle = cssColor(accent);
+        this.ctx.beginPath();
+        this.ctx.arc(sunX, sunY, sunDiskR, 0, Math.PI * 2);
+        this.ctx.fill();
+        this.ctx.restore();
+        
+        this.drawClouds(s, live);
+    }
+    
+    // Live clouds turn white by day and take on the dark sky at night
+    drawClouds(s, live) {
+        const seed = this.seed;
+        const hash = (n) => (Math.imul(n, 92837111) ^ (n >>> 15)) >>> 0;
+        const clouds = this.params.clouds;
+        const sky = live ? live.sky : this.palette.sky;
+        let highlight = this.palette.highlight;
+        if (live) {
+            highlight = mixColor(mixColor(highlight, { r: 255, g: 255, b: 255, a: 1 }, live.day), sky[0], live.night * 0.7);
+        }
+        const lit = mixColor(highlight, sky[sky.length - 1], 0.1);
+        const edge = mixColor(highlight, sky[sky.length - 1], 0.15);
+        const drift = this.time * this.loopRate(this.cloudDrift(), this.width + 400);
+        const bob = this.time * this.loopRate(0.05);
+        for (let i = 0; i < clouds; i++) {
+            const baseX = (drift + (hash(i + seed + 1) % 1000)) % (this.width + 400) - 200;
+            const baseY = this.height * (0.35 + (hash(i + seed + 2) % 40) / 400) + Math.sin(bob + i) * 8 * s;
+            const blobCount = 4 + (hash(i + seed + 3) % 3);
+            const opacity = 0.2 + (hash(i + seed + 4) % 18) / 100;
+            this.ctx.save();
+            for (let b = 0; b < blobCount; b++) {
+                const bx = baseX + ((hash(i * 7 + b + seed) % 200) - 100) * 0.5 * s;
+                const by = baseY + ((hash(i * 7 + b + seed + 1) % 80) - 40) * 0.7 * s;
+                const br = (22 + (hash(i * 7 + b + seed + 2) % 32)) * s;
+                const g = this.ctx.createRadialGradient(bx, by, 0, bx, by, br);
+                g.addColorStop(0, cssColor(highlight, opacity * 0.9));
+                g.addColorStop(0.45, cssColor(lit, opacity * 0.5));
+                g.addColorStop(0.8, cssColor(edge, opacity * 0.2));
+                g.addColorStop(1, cssColor(edge, 0));
+                this.ctx.fillStyle = g;
+                this.ctx.beginPath();
+                this.ctx.arc(bx, by, br, 0, Math.PI * 2);
+                this.ctx.fill();
+            }
+            this.ctx.restore();
+        }
+    }
+}
+
+// Bloom Visual — reference style: layered petals, soft diffusion, sharp white outlines, mandala-like detail
+class BloomVisual extends BaseVisual {
+    static params = {
+        count: { type: 'number', label: 'Blooms', min: 1, max: 7, step: 1, default: 3, reinit: 'initBlooms' },
+        spin: { type: 'number', label: 'Spin', min: 0, max: 4, step: 0.1, default: 1 },
+        flutter: { type: 'number', label: 'Petal flutter', min: 0, max: 0.2, step: 0.002, default: 0.042 }
+    };
+    static palette = {
+        id: 'original', background: '#f9f7f3', highlight: '#ffffff',
+        colors: ['hsl(210, 95%, 60%)', 'hsl(145, 95%, 60%)', 'hsl(39, 95%, 60%)']
+    };
+    
+    constructor(canvas, ctx, options) {
+        super(canvas, ctx, options);
+        this.blooms = [];
+        this.initBlooms();
+    }
+    
+    initBlooms() {
+        const s = this.scale;
+        const count = this.params.count;
+        // The row of blooms runs along the long side of the safe frame: a column in portrait
+        const frame = this.safeFrame();
+        const portrait = frame.height > frame.width;
+        const minSide = Math.min(frame.width, frame.height);
+        const baseSize = minSide * 0.3 * s * Math.min(1, 3 / count);
+        const sizeScales = [0.72, 1.15, 0.88];
+        this.blooms = [];
+        for (let i = 0; i < count; i++) {
+            const tx = count > 1 ? i / (count - 1) : 0.5;
+            const along = 0.18 + tx * 0.64;
+            const across = 0.5 + (this.random() - 0.5) * 0.08;
+            const x = frame.x + frame.width * (portrait ? across : along);
+            const y = frame.y + frame.height * (portrait ? along : across);
+            const hueJitter = (this.random() - 0.5) * 8;
+            const r0 = this.random() * Math.PI * 2;
+            this.blooms.push({
+                x, y,
+                // Position along the palette ramp; hue and saturation are resolved per frame
+                tone: tx,
+                hueJitter,
+                satJitter: this.random() * 10 - 5,
+                size: baseSize * (sizeScales[i % sizeScales.length] + (this.random() - 0.5) * 0.12),
+                rotation: r0,
+                rotationLag: r0,
+                rotationSpeed: 0.06 + (this.random() - 0.5) * 0.036,
+                swayPhase: this.random() * Math.PI * 2,
+                swayTilt: 0,
+                petalPhase: [],
+                translucent: this.random() < 0.5,
+                facing: 0,
+                attention: 0
+            });
+        }
+        this.blooms.forEach(b => {
+            const totalPetals = 6 + 10;
+            for (let i = 0; i < totalPetals; i++) b.petalPhase.push(this.random() * Math.PI * 2);
+            b.rotation0 = b.rotation;
+            b.petalPhase0 = b.petalPhase.slice();
+        });
+    }
+    
+    // One turn at the average rotation speed, or one sway when the blooms don't spin
+    loopPeriod() {
+        return Math.PI * 2 / (this.params.spin > 0 ? 0.06 * this.params.spin : 0.35);
+    }
+    
+    update(dt = FRAME_STEP) {
+        super.update(dt);
+        const t = this.time;
+        const lagFactor = 1 - Math.pow(1 - 0.014, dt * 60);
+        const looping = this.loopLength() != null;
+        this.blooms.forEach(b => {
+            if (looping) {
+                // Closed form of the integration below: whole turns per loop, and the petals trailing by the
+                // lag they settle at when turning steadily
+                const speed = this.loopRate(b.rotationSpeed * this.params.spin);
+                b.rotation = b.rotation0 + speed * t;
+                b.rotationLag = b.rotation - speed * FRAME_STEP * (1 - 0.014) / 0.014;
+                b.petalPhase.forEach((_, i) => {
+                    const rate = 0.36 + (i % 3) * 0.18;
+                    // drawPetalLayer adds t, so the flutter runs at 1 + rate
+                    b.petalPhase[i] = b.petalPhase0[i] + (this.loopRate(1 + rate) - 1) * t;
+                });
+            } else {
+                b.rotation += b.rotationSpeed * this.params.spin * dt;
+                let d = b.rotation - b.rotationLag;
+                while (d > Math.PI) d -= Math.PI * 2;
+                while (d < -Math.PI) d += Math.PI * 2;
+                b.rotationLag += d * lagFactor;
+                b.petalPhase.forEach((_, i) => { b.petalPhase[i] += (0.36 + (i % 3) * 0.18) * dt; });
+            }
+            b.swayTilt = 0.06 * Math.sin(t * this.loopRate(0.35) + b.swayPhase) + 0.03 * Math.sin(t * this.loopRate(0.5) + b.swayPhase * 0.7);
+            this.followPointer(b, dt);
+        });
+    }
+    
+    // Interactive mode: each bloom turns its face toward the nearest pointer (leaning its center that way
+    // too) and eases back when the pointer goes away
+    followPointer(bloom, dt) {
+        const pointer = this.nearestPointer(bloom.x, bloom.y);
+        const ease = 1 - Math.exp(-dt * 3);
+        if (pointer) {
+            let d = Math.atan2(pointer.y - bloom.y, pointer.x - bloom.x) - bloom.facing;
+            while (d > Math.PI) d -= Math.PI * 2;
+            while (d < -Math.PI) d += Math.PI * 2;
+            bloom.facing += d * ease;
+        }
+        bloom.attention += ((pointer ? 1 : 0) - bloom.attention) * ease;
+        if (bloom.attention < 1e-4) bloom.attention = 0;
+    }
+    
+    bloomTone(bloom) {
+        const tone = this.paletteHsl(bloom.tone);
+        return {
+            hue: (tone.h + bloom.hueJitter + 360) % 360,
+            sat: Math.max(0, Math.min(100, tone.s + bloom.satJitter))
+        };
+    }
+    
+    drawPetalLayer(ctx, size, hue, sat, n, inner, t, bloom, strokeW) {
+        const isInner = inner;
+        const { highlight } = this.palette;
+        const len = size * (isInner ? 0.32 : 0.52);
+        const halfW = size * (isInner ? 0.12 : 0.22);
+        const alpha = bloom.translucent ? (isInner ? 0.5 : 0.45) : (isInner ? 0.78 : 0.72);
+        const phaseOffset = isInner ? 0 : 6;
+        // Petals flutter harder with the mids and kick out on the beat
+        const excitement = 1 + this.audio.mid * 2 + this.audio.beat * 1.5;
+        
+        for (let i = 0; i < n; i++) {
+            const baseAngle = (Math.PI * 2 / n) * i + (isInner ? Math.PI / n : 0);
+            const flutter = this.params.flutter * excitement * Math.sin(t + bloom.petalPhase[phaseOffset + i]);
+            const angle = baseAngle + flutter;
+            const lenScale = 0.95 + (i % 2) * 0.08;
+            const wScale = 0.92 + (i % 3) * 0.06;
+            const pl = len * lenScale;
+            const pw = halfW * wScale;
+            
+            const tipX = Math.cos(angle) * pl;
+            const tipY = Math.sin(angle) * pl;
+            const cpx = Math.cos(angle) * pl * 0.45 + Math.cos(angle + Math.PI / 2) * pw;
+            const cpy = Math.sin(angle) * pl * 0.45 + Math.sin(angle + Math.PI / 2) * pw;
+            const cpx2 = Math.cos(angle) * pl * 0.45 - Math.cos(angle + Math.PI / 2) * pw;
+            const cpy2 = Math.sin(angle) * pl * 0.45 - Math.sin(angle + Math.PI / 2) * pw;
+            
+            ctx.beginPath();
+            ctx.moveTo(0, 0);
+            ctx.quadraticCurveTo(cpx, cpy, tipX, tipY);
+            ctx.quadraticCurveTo(cpx2, cpy2, 0, 0);
+            ctx.closePath();
+            
+            const grad = ctx.createLinearGradient(0, 0, tipX, tipY);
+            grad.addColorStop(0, `hsla(${hue}, ${sat}%, 58%, ${alpha})`);
+            grad.addColorStop(0.35, `hsla(${hue}, ${sat}%, 65%, ${alpha * 0.92})`);
+            grad.addColorStop(0.7, `hsla(${hue}, ${sat}%, 72%, ${alpha * 0.7})`);
+            grad.addColorStop(1, `hsla(${hue}, ${Math.min(95, sat + 8)}%, 82%, ${alpha * 0.28})`);
+            ctx.fillStyle = grad;
+            ctx.fill();
+            
+            ctx.strokeStyle = cssColor(highlight, 0.82);
+            ctx.lineWidth = strokeW;
+            ctx.stroke();
+            
+            const midX = Math.cos(angle) * pl * 0.5;
+            const midY = Math.sin(angle) * pl * 0.5;
+            ctx.strokeStyle = cssColor(highlight, 0.25);
+            ctx.lineWidth = Math.max(0.5, size * 0.004);
+            ctx.beginPath();
+            ctx.moveTo(0, 0);
+            ctx.lineTo(midX, midY);
+            ctx.stroke();
+        }
+    }
+    
+    render() {
+        const w = this.width;
+        const h = this.height;
+        const t = this.time;
+        const { background, highlight } = this.palette;
+        
+        const bg = this.ctx.createLinearGradient(0, 0, w, 0);
+        bg.addColorStop(0, cssColor(background));
+        bg.addColorStop(0.5, cssColor(mixColor(background, highlight, 0.3)));
+        bg.addColorStop(1, cssColor(background));
+        this.ctx.fillStyle = bg;
+        this.ctx.fillRect(0, 0, w, h);
+        
+        for (let i = 0; i < 18; i++) {
+            const gx = (i * 137) % w;
+            const gy = (i * 89) % h;
+            const spot = this.ctx.createRadialGradient(gx, gy, 0, gx, gy, 100);
+            spot.addColorStop(0, cssColor(highlight, 0.12));
+            spot.addColorStop(1, 'transparent');
+            this.ctx.fillStyle = spot;
+            this.ctx.fillRect(gx - 100, gy - 100, 200, 200);
+        }
+        
+        this.blooms.forEach(bloom => {
+            const size = bloom.size;
+            const { hue, sat } = this.bloomTone(bloom);
+            const strokeW = Math.max(1, size * 0.014);
+            
+            this.ctx.save();
+            this.ctx.translate(bloom.x, bloom.y);
+            if (bloom.attention > 0) {
+                const lean = size * 0.08 * bloom.attention;
+                // Tilted toward the pointer, the flower's face foreshortens along that direction
+                this.ctx.translate(Math.cos(bloom.facing) * lean, Math.sin(bloom.facing) * lean);
+                this.ctx.rotate(bloom.facing);
+                this.ctx.scale(1 - 0.2 * bloom.attention, 1);
+                this.ctx.rotate(-bloom.facing);
+            }
+            this.ctx.rotate(bloom.rotation);
+            this.ctx.rotate(bloom.swayTilt);
+            
+            const glow = this.ctx.createRadialGradient(0, 0, 0, 0, 0, size * 1.4);
+            glow.addColorStop(0, `hsla(${hue}, ${sat}%, 75%, 0.18)`);
+            glow.addColorStop(0.6, `hsla(${hue}, ${sat}%, 70%, 0.06)`);
+            glow.addColorStop(1, 'transparent');
+            this.ctx.fillStyle = glow;
+            this.ctx.beginPath();
+            this.ctx.arc(0, 0, size * 1.35, 0, Math.PI * 2);
+            this.ctx.fill();
+            
+            let petalLag = bloom.rotationLag - bloom.rotation;
+            while (petalLag > Math.PI) petalLag -= Math.PI * 2;
+            while (petalLag < -Math.PI) petalLag += Math.PI * 2;
+            this.ctx.rotate(petalLag);
+            this.drawPetalLayer(this.ctx, size, hue, sat, 6, true, t, bloom, strokeW * 0.85);
+            this.drawPetalLayer(this.ctx, size, hue, sat, 10, false, t, bloom, strokeW);
+            this.ctx.rotate(-petalLag);
+            
+            const centerR = size * 0.16;
+            const centerGrad = this.ctx.createRadialGradient(0, 0, 0, 0, 0, centerR);
+            centerGrad.addColorStop(0, `hsl(${hue}, ${sat}%, 36%)`);
+            centerGrad.addColorStop(0.7, `hsl(${hue}, ${sat}%, 26%)`);
+            centerGrad.addColorStop(1, `hsl(${hue}, ${sat}%, 18%)`);
+            this.ctx.fillStyle = centerGrad;
+            this.ctx.beginPath();
+            this.ctx.arc(0, 0, centerR, 0, Math.PI * 2);
+            this.ctx.fill();
+            
+            const rayCount = 28;
+            this.ctx.strokeStyle = cssColor(highlight, 0.7);
+            this.ctx.lineWidth = Math.max(0.6, size * 0.005);
+            for (let i = 0; i < rayCount; i++) {
+                const a = (i / rayCount) * Math.PI * 2;
+                this.ctx.beginPath();
+                this.ctx.moveTo(Math.cos(a) * centerR * 0.25, Math.sin(a) * centerR * 0.25);
+                this.ctx.lineTo(Math.cos(a) * centerR, Math.sin(a) * centerR);
+                this.ctx.stroke();
+            }
+            
+            this.ctx.restore();
+        });
+    }
+    
+    resize(width, height) {
+        super.resize(width, height);
+        this.initBlooms();
+    }
+}
+
+// Streets Visual — warm line-art street: sidewalks, establishments (shop fronts, awnings), road, gate, cars
+class StreetsVisual extends BaseVisual {
+    static params = {
+        cars: { type: 'number', label: 'Cars', min: 0, max: 12, step: 1, default: 5, reinit: 'initCars' },
+        carSpeed: { type: 'number', label: 'Car speed', min: 0, max: 5, step: 0.1, default: 1 }
+    };
+    static palette = { id: 'original', background: '#f8f6f2', ink: '#1a1a1a', colors: ['rgb(240, 236, 228)'] };
+    
+    constructor(canvas, ctx, options) {
+        super(canvas, ctx, options);
+        this.cars = [];
+        this.initCars();
+    }
+    
+    initCars() {
+        const count = this.params.cars;
+        this.cars = [];
+        for (let i = 0; i < count; i++) {
+            this.cars.push({
+                depth: 0.15 + (i / count) * 0.7,
+                phase: (i / count) * 2,
+                phase0: (i / count) * 2,
+                rightward: i % 2 === 0
+            });
+        }
+    }
+    
+    // Every car drives one lap (phase 0–2); nothing else moves, so a still street loops at any length
+    loopPeriod() {
+        return this.params.carSpeed > 0 ? 2 / (0.027 * this.params.carSpeed) : 1;
+    }
+    
+    update(dt = FRAME_STEP) {
+        super.update(dt);
+        if (this.loopLength() != null) {
+            const distance = this.time * this.loopRate(0.027 * this.params.carSpeed, 2);
+            this.cars.forEach(c => {
+                c.phase = ((c.phase0 + (c.rightward ? distance : -distance)) % 2 + 2) % 2;
+            });
+            return;
+        }
+        const speed = 0.027 * this.params.carSpeed * dt;
+        this.cars.forEach(c => {
+            c.phase += c.rightward ? speed : -speed;
+            if (c.phase > 2) c.phase -= 2;
+            if (c.phase < 0) c.phase += 2;
+        });
+    }
+    
+    render() {
+        const w = this.width;
+        const h = this.height;
+        // Vanishing point and gate are placed in the safe frame; the street itself still fills the scene
+        const frame = this.safeFrame();
+        const vpX = frame.x + frame.width * 0.5;
+        const vpY = frame.y + frame.height * 0.32;
+        const horizon = vpY + 30;
+        
+        const yToT = (y) => Math.min(1, Math.max(0, (y - vpY) / (h - vpY)));
+        const project = (xNorm, y) => vpX + (xNorm * w - vpX) * yToT(y);
+        
+        const roadLeft = 0.22;
+        const roadRight = 0.78;
+        const sidewalkLeft = 0.08;
+        const sidewalkRight = 0.92;
+        const roadY1 = h;
+        const { background, ink } = this.palette;
+        const lineColor = cssColor(ink);
+        
+        this.ctx.fillStyle = cssColor(background);
+        this.ctx.fillRect(0, 0, w, h);
+        
+        this.ctx.strokeStyle = lineColor;
+        this.ctx.lineWidth = 1.4;
+        this.ctx.lineCap = 'round';
+        this.ctx.lineJoin = 'round';
+        
+        this.ctx.fillStyle = cssColor(mixColor(background, ink, 0.07), 0.6);
+        this.ctx.beginPath();
+        this.ctx.moveTo(project(0, roadY1), roadY1);
+        this.ctx.lineTo(project(0, 0), 0);
+        this.ctx.lineTo(project(sidewalkLeft, 0), 0);
+        this.ctx.lineTo(project(roadLeft, horizon), horizon);
+        this.ctx.lineTo(project(roadLeft, roadY1), roadY1);
+        this.ctx.closePath();
+        this.ctx.fill();
+        this.ctx.stroke();
+        this.ctx.beginPath();
+        this.ctx.moveTo(project(roadRight, roadY1), roadY1);
+        this.ctx.lineTo(project(roadRight, horizon), horizon);
+        this.ctx.lineTo(project(sidewalkRight, 0), 0);
+        this.ctx.lineTo(w, 0);
+        this.ctx.lineTo(project(1, roadY1), roadY1);
+        this.ctx.closePath();
+        this.ctx.fill();
+        this.ctx.stroke();
+        
+        this.ctx.beginPath();
+        this.ctx.moveTo(project(roadLeft, roadY1), roadY1);
+        this.ctx.lineTo(project(roadLeft, horizon), horizon);
+        this.ctx.lineTo(vpX, vpY);
+        this.ctx.lineTo(project(roadRight, horizon), horizon);
+        this.ctx.lineTo(project(roadRight, roadY1), roadY1);
+        this.ctx.closePath();
+        this.ctx.stroke();
+        this.ctx.fillStyle = cssColor(mixColor(background, ink, 0.09), 0.5);
+        this.ctx.fill();
+        this.ctx.stroke();
+        
+        for (let y = roadY1 - 30; y > horizon; y -= 40) {
+            const t = yToT(y);
+            const segW = 16 * (1 - t * 0.75);
+            const cx = project(0.5, y);
+            this.ctx.strokeStyle = cssColor(mixColor(background, ink, 0.5));
+            this.ctx.lineWidth = 1;
+            this.ctx.strokeRect(cx - segW / 2, y - 3, segW, 6);
+            this.ctx.strokeStyle = lineColor;
+            this.ctx.lineWidth = 1.4;
+        }
+        
+        const drawEstablishment = (xStart, widthNorm, topNorm, floors, hasAwning, hasDoor) => {
+            const x0 = xStart;
+            const x1 = xStart + widthNorm;
+            const y0 = 0;
+            const y1 = h * (1 - topNorm);
+            const groundY = y1 + (y0 - y1) * 0.22;
+            this.ctx.fillStyle = cssColor(this.paletteColor(xStart), 0.7);
+            this.ctx.beginPath();
+            this.ctx.moveTo(project(x0, y1), y1);
+            this.ctx.lineTo(project(x0, y0), y0);
+            this.ctx.lineTo(project(x1, y0), y0);
+            this.ctx.lineTo(project(x1, y1), y1);
+            this.ctx.closePath();
+            this.ctx.fill();
+            this.ctx.stroke();
+            if (hasAwning) {
+                this.ctx.beginPath();
+                this.ctx.moveTo(project(x0, groundY), groundY);
+                this.ctx.lineTo(project(x0, groundY - 18), groundY - 18);
+                this.ctx.lineTo(project(x1, groundY - 18), groundY - 18);
+                this.ctx.lineTo(project(x1, groundY), groundY);
+                this.ctx.closePath();
+                this.ctx.stroke();
+            }
+            if (hasDoor) {
+                const dx = (x0 + x1) / 2;
+                this.ctx.beginPath();
+                this.ctx.moveTo(project(dx - 0.008, groundY), groundY);
+                this.ctx.lineTo(project(dx - 0.008, y1), y1);
+                this.ctx.lineTo(project(dx + 0.008, y1), y1);
+                this.ctx.lineTo(project(dx + 0.008, groundY), groundY);
+                this.ctx.closePath();
+                this.ctx.stroke();
+            }
+            for (let f = 1; f < floors; f++) {
+                const fy = y1 + (y0 - y1) * (f / floors);
+                this.ctx.beginPath();
+                this.ctx.moveTo(project(x0, fy), fy);
+                this.ctx.lineTo(project(x1, fy), fy);
+                this.ctx.stroke();
+            }
+            const cols = 3;
+            for (let c = 1; c < cols; c++) {
+                const xNorm = x0 + (x1 - x0) * (c / cols);
+                this.ctx.beginPath();
+                this.ctx.moveTo(project(xNorm, y0), y0);
+                this.ctx.lineTo(project(xNorm, y1), y1);
+                this.ctx.stroke();
+            }
+            for (let f = 1; f < floors; f++) {
+                for (let c = 0; c < cols; c++) {
+                    const fx = x0 + (x1 - x0) * (c + 0.5) / cols;
+                    const fy = y1 + (y0 - y1) * (f + 0.5) / floors;
+                    const wx = (project(fx + 0.012, fy) - project(fx - 0.012, fy)) * 0.9;
+                    const wy = 8;
+                    this.ctx.strokeRect(project(fx, fy) - wx / 2, fy - wy / 2, Math.abs(wx), wy);
+                }
+            }
+        };
+        drawEstablishment(0, 0.07, 0.68, 5, true, true);
+        drawEstablishment(0.07, 0.08, 0.52, 6, true, false);
+        drawEstablishment(0.15, 0.05, 0.72, 4, false, true);
+        drawEstablishment(0.88, 0.06, 0.62, 5, true, true);
+        drawEstablishment(0.94, 0.06, 0.48, 6, true, false);
+        
+        // The gate keeps its landscape proportions (4:1) in taller frames
+        const gateY = frame.y + frame.height * 0.48;
+        const gateW = frame.width * 0.45;
+        const gateH = Math.min(frame.height * 0.2, gateW / 4);
+        const gx = vpX - gateW / 2;
+        this.ctx.beginPath();
+        this.ctx.moveTo(gx, gateY + gateH);
+        this.ctx.lineTo(gx + gateW * 0.1, gateY + gateH * 0.4);
+        this.ctx.lineTo(gx + gateW * 0.5, gateY + gateH * 0.02);
+        this.ctx.lineTo(gx + gateW * 0.9, gateY + gateH * 0.4);
+        this.ctx.lineTo(gx + gateW, gateY + gateH);
+        this.ctx.stroke();
+        this.ctx.beginPath();
+        this.ctx.moveTo(gx + gateW * 0.5, gateY + gateH * 0.02);
+        this.ctx.lineTo(gx + gateW * 0.5, gateY + gateH);
+        this.ctx.stroke();
+        this.ctx.beginPath();
+        this.ctx.arc(gx + gateW * 0.5, gateY + gateH * 0.52, gateW * 0.06, 0, Math.PI * 2);
+        this.ctx.stroke();
+        [[0.04, 0.08], [0.18, 0.12], [0.35, 0.15]].forEach(([ty, th]) => {
+            this.ctx.beginPath();
+            this.ctx.moveTo(gx + gateW * 0.1, gateY + gateH * ty);
+            this.ctx.quadraticCurveTo(gx + gateW * 0.5, gateY + gateH * (ty - 0.03), gx + gateW * 0.9, gateY + gateH * ty);
+            this.ctx.lineTo(gx + gateW * 0.9, gateY + gateH * (ty + th));
+            this.ctx.quadraticCurveTo(gx + gateW * 0.5, gateY + gateH * (ty + th + 0.015), gx + gateW * 0.1, gateY + gateH * (ty + th));
+            this.ctx.closePath();
+            this.ctx.stroke();
+        });
+        this.ctx.strokeRect(gx + gateW * 0.2, gateY - 20, gateW * 0.6, gateH * 0.5);
+        for (let r = 1; r < 3; r++) {
+            this.ctx.beginPath();
+            this.ctx.moveTo(gx + gateW * 0.2, gateY - 20 + (gateH * 0.5 * r) / 3);
+            this.ctx.lineTo(gx + gateW * 0.8, gateY - 20 + (gateH * 0.5 * r) / 3);
+            this.ctx.stroke();
+        }
+        for (let c = 1; c < 4; c++) {
+            const cx = gx + gateW * 0.2 + (gateW * 0.6 * c) / 4;
+            this.ctx.beginPath();
+            this.ctx.moveTo(cx, gateY - 20);
+            this.ctx.lineTo(cx, gateY - 20 + gateH * 0.5);
+            this.ctx.stroke();
+        }
+        
+        this.cars.forEach(car => {
+            const t = car.depth;
+            const y = vpY + (h - vpY) * t;
+            const scale = 1 - t * 0.88;
+            const carW = 72 * scale;
+            const carH = 28 * scale;
+            const xNorm = roadLeft + (roadRight - roadLeft) * (0.15 + car.phase * 0.7);
+            const x = project(xNorm, y) - carW / 2;
+            this.ctx.strokeRect(x, y - carH, carW, carH);
+            this.ctx.beginPath();
+            this.ctx.moveTo(x + carW * 0.22, y - carH);
+            this.ctx.lineTo(x + carW * 0.22, y);
+            this.ctx.moveTo(x + carW * 0.78, y - carH);
+            this.ctx.lineTo(x + carW * 0.78, y);
+            this.ctx.stroke();
+        });
+    }
+    
+    resize(width, height) {
+        super.resize(width, height);
+    }
+}
+
+// Urbanity Visual
+class UrbanityVisual extends BaseVisual {
+    static params = {
+        windows: { type: 'number', label: 'Windows', min: 0, max: 1, step: 0.05, default: 0.7, reinit: 'initBuildings' },
+        stars: { type: 'number', label: 'Stars', min: 0, max: 300, step: 10, default: 100 },
+        activity: { type: 'number', label: 'Window activity', min: 0, max: 10, step: 0.5, default: 1 },
+        liveTime: { type: 'boolean', label: 'Live time of day', default: false }
+    };
+    // Live mode: share of lit windows that are on through the day, as [hour, share] points interpolated
+    // linearly — full in the evening, thinning out after 22:00 and coming back from 05:00
+    static OCCUPANCY = [[0, 0.45], [3, 0.08], [5, 0.08], [7, 0.6], [9, 0.35], [17, 0.35], [19, 0.95], [22, 0.9], [24, 0.45]];
+    static palette = {
+        id: 'original', background: '#0a0a1a', accent: 'rgb(255, 220, 100)', highlight: '#ffffff',
+        sky: ['#0a0a1a', '#1a1a2e'], colors: ['hsl(200, 30%, 20%)']
+    };
+    // `glow` is the share of lit windows that get a glow gradient (picked by rank, so always the same ones)
+    static qualityLevels = [
+        { glow: 1 },
+        { glow: 0.4 },
+        { glow: 0 },
+        { resolution: 0.75 },
+        { resolution: 0.5 }
+    ];
+    
+    constructor(canvas, ctx, options) {
+        super(canvas, ctx, options);
+        this.buildings = [];
+        this.lights = [];
+        this.initBuildings();
+    }
+    
+    initBuildings() {
+        let x = 0;
+        this.buildings = [];
+        this.lights = [];
+        while (x < this.width + 100) {
+            const width = 40 + this.random() * 80;
+            const height = 100 + this.random() * (this.height * 0.7);
+            this.buildings.push({
+                x: x,
+                width: width,
+                height: height,
+                shade: this.random()
+            });
+            
+            const windows = Math.floor(height / 30);
+            for (let i = 0; i < windows; i++) {
+                if (this.random() > 1 - this.params.windows) {
+                    this.lights.push({
+                        x: x + width / 2,
+                        y: this.height - height + i * 30 + 15,
+                        buildingX: x,
+                        buildingWidth: width,
+                        on: this.random() > 0.5,
+                        flicker: this.random() * Math.PI * 2
+                    });
+                }
+            }
+            
+            x += width + 5;
+        }
+        
+        // Live mode switches windows off in order of rank, so the same ones go dark first every night. Drawn
+        // from a separate stream to keep the layout of existing seeds unchanged.
+        const rank = createRandom(this.seed + 1);
+        this.lights.forEach(light => { light.rank = rank(); });
+    }
+    
+    occupancy(hours) {
+        const points = UrbanityVisual.OCCUPANCY;
+        const i = points.findIndex(([h]) => h > hours);
+        const [h0, v0] = points[i - 1];
+        const [h1, v1] = points[i];
+        return v0 + (v1 - v0) * (hours - h0) / (h1 - h0);
+    }
+    
+    update(dt = FRAME_STEP) {
+        super.update(dt);
+        // Music makes the windows restless: treble switches them, mids speed up the flicker
+        const { mid, treble } = this.audio;
+        const toggleChance = 0.06 * this.params.activity * (1 + treble * 12) * dt;
+        this.lights.forEach(light => {
+            light.flicker += (6 + mid * 18) * dt;
+            if (!this.params.liveTime && this.random() < toggleChance) {
+                light.on = !light.on;
+            }
+        });
+    }
+    
+    render() {
+        const { accent, highlight } = this.palette;
+        const share = this.params.liveTime ? this.occupancy(localHours(this.now())) : null;
+        const { glow } = this.quality;
+        
+        // Night sky
+        this.ctx.fillStyle = this.skyGradient(0, this.height);
+        this.ctx.fillRect(0, 0, this.width, this.height);
+        
+        // Stars
+        this.ctx.fillStyle = cssColor(highlight, 0.8);
+        for (let i = 0; i < this.params.stars; i++) {
+            const x = (i * 37) % this.width;
+            const y = (i * 73) % (this.height * 0.5);
+            const twinkle = Math.sin(this.time * 2 + i) * 0.5 + 0.5;
+            this.ctx.globalAlpha = twinkle * 0.8;
+            this.ctx.fillRect(x, y, 1, 1);
+        }
+        this.ctx.globalAlpha = 1;
+        
+        // Buildings
+        this.buildings.forEach(building => {
+            const tone = this.paletteHsl(building.x / this.width);
+            const light = Math.max(0, tone.l - 10 + building.shade * 20);
+            this.ctx.fillStyle = `hsl(${tone.h}, ${tone.s}%, ${light}%)`;
+            this.ctx.fillRect(
+                building.x,
+                this.height - building.height,
+                building.width,
+                building.height
+            );
+        });
+        
+        this.lights.forEach(light => {
+            if (share != null ? light.rank < share : light.on) {
+                const brightness = Math.min(1, 0.5 + Math.sin(light.flicker) * 0.3 + this.audio.beat * 0.3);
+                this.ctx.fillStyle = cssColor(accent, brightness);
+                this.ctx.fillRect(light.x - 3, light.y - 3, 6, 6);
+                if (light.rank >= glow) return;
+                
+                const glowGradient = this.ctx.createRadialGradient(light.x, light.y, 0, light.x, light.y, 10);
+                glowGradient.addColorStop(0, cssColor(accent, brightness * 0.3));
+                glowGradient.addColorStop(1, 'transparent');
+                this.ctx.fillStyle = glowGradient;
+                this.ctx.fillRect(light.x - 10, light.y - 10, 20, 20);
+            }
+        });
+    }
+    
+    resize(width, height) {
+        super.resize(width, height);
+        this.initBuildings();
+    }
+}
+
+// Visual registry. The menu, previews, playlist, export dialog and CLI are all generated from it, so a new
+// visual is one class plus one registerVisual() call:
+//   { id, name, visualClass, category = 'Other', thumbnail: { seed, time, params } }
+// `thumbnail` sets up the menu preview; anything it leaves out uses a random seed, t = 0 and default params.
+const VISUALS = {};
+const VISUAL_DEFINITIONS = {};
+const registryListeners = [];
+
+function registerVisual(def) {
+    if (!def.id) throw new Error('Visual needs an id');
+    if (typeof def.visualClass !== 'function') throw new Error(`Visual "${def.id}" needs a visualClass`);
+    if (VISUALS[def.id]) throw new Error(`Visual "${def.id}" is already registered`);
+    const definition = { category: 'Other', thumbnail: {}, ...def, name: def.name || def.id };
+    VISUAL_DEFINITIONS[def.id] = definition;
+    VISUALS[def.id] = def.visualClass;
+    registryListeners.forEach(listener => listener(definition));
+    return definition;
+}
+
+// Called for every visual registered from now on (e.g. third-party modules loaded after startup)
+function onVisualRegistered(listener) {
+    registryListeners.push(listener);
+}
+
+[
+    { id: 'mosaic', name: 'Mosaic', category: 'Abstract', visualClass: MosaicVisual },
+    { id: 'smoke', name: 'Smoke', category: 'Abstract', visualClass: SmokeVisual, thumbnail: { time: 6 } },
+    { id: 'lightshade', name: 'Light and Shade', category: 'Abstract', visualClass: LightShadeVisual },
+    { id: 'lanterns', name: 'Lanterns', category: 'Scenes', visualClass: LanternsVisual },
+    { id: 'sunset', name: 'Sunset', category: 'Scenes', visualClass: SunsetVisual },
+    { id: 'bloom', name: 'Bloom', category: 'Nature', visualClass: BloomVisual },
+    { id: 'urbanity', name: 'Urbanity', category: 'Scenes', visualClass: UrbanityVisual },
+    { id: 'streets', name: 'Streets', category: 'Scenes', visualClass: StreetsVisual }
+].forEach(registerVisual);
+
+// The public API: globals in the browser, module.exports in Node (bin/bgen.js), and the argument handed to
+// third-party visual modules in both (see loadVisualModule in app.js and --module in bgen)
+const VisualsAPI = {
+    REF_AREA,
+    FRAME_STEP,
+    VISUALS,
+    VISUAL_DEFINITIONS,
+    registerVisual,
+    onVisualRegistered,
+    visualScale,
+    createRandom,
+    randomSeed,
+    normalizeSeed,
+    resolveQuality,
+    PALETTES,
+    parseColor,
+    mixColor,
+    cssColor,
+    rgbToHsl,
+    normalizePalette,
+    definePalette,
+    resolvePalette,
+    SIZE_PRESETS,
+    largestSafeRect,
+    coerceParam,
+    resolveParams,
+    stepVisual,
+    advanceVisual,
+    drawVisual,
+    FrameClock,
+    renderStill,
+    tileViewports,
+    renderTiles,
+    SvgContext,
+    renderSvg,
+    RecordingContext,
+    recordVisual,
+    localHours,
+    sunPosition,
+    SILENCE,
+    AudioAnalysis,
+    SyntheticAudio,
+    BaseVisual,
+    MosaicVisual,
+    SmokeVisual,
+    LightShadeVisual,
+    LanternsVisual,
+    SunsetVisual,
+    BloomVisual,
+    StreetsVisual,
+    UrbanityVisual
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VisualsAPI;
+}